@@ -0,0 +1,78 @@
+import { logFrontendAuthError } from './utils';
+
+/**
+ * The auth lifecycle events that can be subscribed to.
+ *
+ * - `tokenRefreshed`: the jwt access token was refreshed. Handlers receive
+ *   `{ decodedJwtToken }`.
+ * - `userUnauthenticated`: a token refresh found that the user is logged out.
+ * - `refreshFailed`: a token refresh failed unexpectedly. Handlers receive
+ *   `{ error }`.
+ * - `beforeLoginRedirect`: the user is about to be redirected to login.
+ *   Handlers receive `{ redirectUrl }`.
+ * - `beforeLogoutRedirect`: the user is about to be redirected to logout.
+ *   Handlers receive `{ redirectUrl }`.
+ * - `rateLimited`: a server rate limited api requests with a 429 response.
+ *   Requests to its origin are held back until the time in milliseconds
+ *   handlers receive as `{ origin, rateLimitedUntil }`.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const AUTH_EVENTS = {
+  TOKEN_REFRESHED: 'tokenRefreshed',
+  USER_UNAUTHENTICATED: 'userUnauthenticated',
+  REFRESH_FAILED: 'refreshFailed',
+  BEFORE_LOGIN_REDIRECT: 'beforeLoginRedirect',
+  BEFORE_LOGOUT_REDIRECT: 'beforeLogoutRedirect',
+  RATE_LIMITED: 'rateLimited',
+};
+
+const eventNames = Object.values(AUTH_EVENTS);
+const subscribers = {};
+
+const unsubscribe = (eventName, handler) => {
+  if (subscribers[eventName]) {
+    subscribers[eventName] = subscribers[eventName].filter(subscriber => subscriber !== handler);
+  }
+};
+
+/**
+ * Subscribes to an auth lifecycle event.
+ *
+ * ```
+ *  const unsubscribe = subscribe('tokenRefreshed', ({ decodedJwtToken }) => {});
+ *  // Later, to stop receiving the event:
+ *  unsubscribe();
+ * ```
+ *
+ * @param {string} eventName one of the AUTH_EVENTS
+ * @param {function} handler called with the event data each time the event fires
+ * @returns {function} Unsubscribes the handler when called.
+ */
+const subscribe = (eventName, handler) => {
+  if (!eventNames.includes(eventName)) {
+    throw new Error(`Unknown frontend auth event ${eventName}. Expected one of ${eventNames.join(', ')}.`);
+  }
+
+  subscribers[eventName] = [...(subscribers[eventName] || []), handler];
+  return () => unsubscribe(eventName, handler);
+};
+
+// Calls every handler subscribed to the event. A handler that throws is
+// logged and does not keep the other handlers or the auth flow from running.
+const publish = (eventName, data = {}, loggingService = undefined) => {
+  (subscribers[eventName] || []).forEach((handler) => {
+    try {
+      handler(data);
+    } catch (error) {
+      logFrontendAuthError(error, loggingService);
+    }
+  });
+};
+
+export {
+  AUTH_EVENTS,
+  publish,
+  subscribe,
+};
@@ -1,11 +1,23 @@
 
-import { getConfig } from './index';
-import { processAxiosError } from './utils';
-import getCsrfToken from './getCsrfToken';
-import getJwtToken from './getJwtToken';
+import axios from 'axios';
+import camelCase from 'lodash.camelcase';
+import snakeCase from 'lodash.snakecase';
+import { modifyObjectKeys } from '../dataUtils';
+import { getUrlOrigin, logFrontendAuthError, processAxiosError } from './utils';
+import { combineCancelTokens, getCancelTokenFromAbortSignal } from './cancellation';
+import { FrontendAuthError, RequestConfigError } from './errors';
+import getCsrfToken, { clearCsrfToken } from './getCsrfToken';
+import getJwtToken, { getJwtCookieValue, refresh } from './getJwtToken';
+
+const DEFAULT_CSRF_TOKEN_HEADER_NAME = 'X-CSRFToken';
 
 const csrfTokenProviderInterceptor = (options) => {
-  const { csrfTokenApiPath, shouldSkip } = options;
+  const {
+    csrfTokenApiPath,
+    csrfTokenOptions,
+    shouldSkip,
+    getCsrfTokenHeaderName = () => undefined,
+  } = options;
 
   // Creating the interceptor inside this closure to
   // maintain reference to the options supplied.
@@ -13,11 +25,11 @@ const csrfTokenProviderInterceptor = (options) => {
     if (shouldSkip(axiosRequestConfig)) {
       return axiosRequestConfig;
     }
-    const { url } = axiosRequestConfig;
-    const csrfToken = await getCsrfToken(url, csrfTokenApiPath);
-    const CSRF_HEADER_NAME = 'X-CSRFToken';
+    const { url, baseURL } = axiosRequestConfig;
+    const csrfToken = await getCsrfToken(getUrlOrigin(url, baseURL), csrfTokenApiPath, csrfTokenOptions);
+    const csrfTokenHeaderName = getCsrfTokenHeaderName(axiosRequestConfig) || DEFAULT_CSRF_TOKEN_HEADER_NAME;
     // eslint-disable-next-line no-param-reassign
-    axiosRequestConfig.headers[CSRF_HEADER_NAME] = csrfToken;
+    axiosRequestConfig.headers[csrfTokenHeaderName] = csrfToken;
     return axiosRequestConfig;
   };
 
@@ -28,8 +40,10 @@ const jwtTokenProviderInterceptor = (options) => {
   const {
     tokenCookieName,
     tokenRefreshEndpoint,
+    jwtTokenOptions,
     handleUnexpectedRefreshError,
     shouldSkip,
+    shouldUseAuthorizationHeader = () => false,
   } = options;
 
   // Creating the interceptor inside this closure to
@@ -39,30 +53,371 @@ const jwtTokenProviderInterceptor = (options) => {
       return axiosRequestConfig;
     }
     try {
-      await getJwtToken(tokenCookieName, tokenRefreshEndpoint);
+      await getJwtToken(tokenCookieName, tokenRefreshEndpoint, jwtTokenOptions);
     } catch (error) {
       handleUnexpectedRefreshError(error);
     }
-    // Add the proper headers to tell the server to look for the jwt cookie
-    // eslint-disable-next-line no-param-reassign
-    axiosRequestConfig.headers.common['USE-JWT-COOKIE'] = true;
+    const jwtCookieValue = shouldUseAuthorizationHeader(axiosRequestConfig) ?
+      getJwtCookieValue(tokenCookieName) : null;
+    // A split jwt cookie holds no signature, so its value can't be sent on
+    // its own and the server has to combine the cookies instead.
+    if (jwtCookieValue && jwtCookieValue.split('.').length === 3) {
+      // Send the token itself for servers that can't receive the jwt cookie,
+      // e.g. on other domains where third-party cookies are blocked.
+      // eslint-disable-next-line no-param-reassign
+      axiosRequestConfig.headers.Authorization = `JWT ${jwtCookieValue}`;
+    } else {
+      // Add the proper headers to tell the server to look for the jwt cookie
+      // eslint-disable-next-line no-param-reassign
+      axiosRequestConfig.headers.common['USE-JWT-COOKIE'] = true;
+    }
     return axiosRequestConfig;
   };
 
   return interceptor;
 };
 
-const processAxiosRequestErrorInterceptor = (error) => {
-  const processedError = processAxiosError(error);
-  const { httpErrorStatus } = processedError.customAttributes;
-  if (httpErrorStatus === 401 || httpErrorStatus === 403) {
-    getConfig().loggingService.logInfo(processedError, processedError.customAttributes);
+// Django rejects a stale csrf token with a 403 whose body mentions CSRF, both
+// in the html page of its middleware and in the json of django rest framework.
+const isCsrfTokenRejection = (error, csrfTokenHeaderName) => {
+  const { config: axiosRequestConfig, response } = error;
+  if (!axiosRequestConfig || !response || response.status !== 403 ||
+    !axiosRequestConfig.headers || !axiosRequestConfig.headers[csrfTokenHeaderName]) {
+    return false;
   }
-  return Promise.reject(processedError);
+  const data = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  return /CSRF/i.test(data || '');
+};
+
+const csrfTokenRejectionInterceptor = (options) => {
+  const {
+    replayRequest,
+    getCsrfTokenHeaderName = () => undefined,
+    clientId,
+  } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (error) => {
+    const { config: axiosRequestConfig } = error;
+    const csrfTokenHeaderName = (axiosRequestConfig && getCsrfTokenHeaderName(axiosRequestConfig)) ||
+      DEFAULT_CSRF_TOKEN_HEADER_NAME;
+    if (!isCsrfTokenRejection(error, csrfTokenHeaderName) || axiosRequestConfig.isCsrfTokenRetry) {
+      return Promise.reject(error);
+    }
+    // Replaying the request runs the csrf token interceptor again, which
+    // fetches a fresh token now that the rejected one is gone.
+    const { url, baseURL, headers } = axiosRequestConfig;
+    clearCsrfToken(getUrlOrigin(url, baseURL), headers[csrfTokenHeaderName], clientId);
+    return replayRequest({ ...axiosRequestConfig, isCsrfTokenRetry: true });
+  };
+
+  return interceptor;
+};
+
+// A 401 for a token that looked valid locally means the server no longer
+// accepts it, e.g. because it was revoked or the clocks disagree.
+const unauthorizedResponseInterceptor = (options) => {
+  const {
+    tokenCookieName,
+    tokenRefreshEndpoint,
+    jwtTokenOptions,
+    replayRequest,
+    handleUnauthenticated,
+    shouldSkip,
+    loggingService,
+  } = options;
+  // Concurrent 401s share one refresh, and the user is handled as
+  // unauthenticated once for it.
+  const handledRefreshRequests = new WeakSet();
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = async (error) => {
+    const { config: axiosRequestConfig, response } = error;
+    if (!axiosRequestConfig || !response || response.status !== 401 ||
+      axiosRequestConfig.isUnauthorizedRetry || shouldSkip(axiosRequestConfig)) {
+      throw error;
+    }
+
+    // Refresh even though the token has not expired locally.
+    const refreshRequest = refresh(tokenCookieName, tokenRefreshEndpoint, jwtTokenOptions);
+    let decodedJwtToken;
+    try {
+      decodedJwtToken = await refreshRequest;
+    } catch (refreshError) {
+      logFrontendAuthError(refreshError, loggingService);
+      throw error;
+    }
+
+    if (decodedJwtToken === null) {
+      if (!handledRefreshRequests.has(refreshRequest)) {
+        handledRefreshRequests.add(refreshRequest);
+        handleUnauthenticated();
+      }
+      throw error;
+    }
+
+    return replayRequest({ ...axiosRequestConfig, isUnauthorizedRetry: true });
+  };
+
+  return interceptor;
+};
+
+// Gives requests with an AbortSignal (config.signal) or a cancel scope
+// (config.cancelScope) a cancel token that is also cancelled by them.
+const cancellationInterceptor = (options) => {
+  const { getCancelScopeToken } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (axiosRequestConfig) => {
+    const { cancelToken, signal, cancelScope } = axiosRequestConfig;
+    if (!signal && cancelScope === undefined) {
+      return axiosRequestConfig;
+    }
+    const cancelTokens = [
+      cancelToken,
+      signal && getCancelTokenFromAbortSignal(signal),
+      cancelScope !== undefined && getCancelScopeToken(cancelScope),
+    ].filter(Boolean);
+    return { ...axiosRequestConfig, cancelToken: combineCancelTokens(cancelTokens) };
+  };
+
+  return interceptor;
+};
+
+// Only plain objects and arrays have their keys converted. FormData, Blobs
+// and bodies that are already serialized are left as they are.
+const hasConvertibleKeys = data => Array.isArray(data) ||
+  Object.prototype.toString.call(data) === '[object Object]';
+
+// Keys listed in the key map, in the style of convertKeyNames, are renamed
+// to their value. All other keys are converted with convertKey.
+const convertKeys = (data, keyMap, convertKey) => modifyObjectKeys(
+  data,
+  key => (keyMap[key] === undefined ? convertKey(key) : keyMap[key]),
+);
+
+// getKeyMap returns null for requests whose data keeps its keys.
+const snakeCaseRequestDataInterceptor = (options) => {
+  const { getKeyMap } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (axiosRequestConfig) => {
+    const keyMap = getKeyMap(axiosRequestConfig);
+    if (keyMap === null || !hasConvertibleKeys(axiosRequestConfig.data)) {
+      return axiosRequestConfig;
+    }
+    return {
+      ...axiosRequestConfig,
+      data: convertKeys(axiosRequestConfig.data, keyMap, snakeCase),
+    };
+  };
+
+  return interceptor;
+};
+
+// A replayed request settles the original request with its response, which
+// has been converted already.
+const convertedResponses = new WeakSet();
+
+// getKeyMap returns null for requests whose response data keeps its keys.
+const camelCaseResponseDataInterceptor = (options) => {
+  const { getKeyMap } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (response) => {
+    const keyMap = getKeyMap(response.config);
+    if (keyMap === null || !hasConvertibleKeys(response.data) || convertedResponses.has(response)) {
+      return response;
+    }
+    const convertedResponse = { ...response, data: convertKeys(response.data, keyMap, camelCase) };
+    convertedResponses.add(convertedResponse);
+    return convertedResponse;
+  };
+
+  return interceptor;
+};
+
+const trustedOriginInterceptor = (options) => {
+  const { isTrustedRequest, isStrict, loggingService } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (axiosRequestConfig) => {
+    if (isTrustedRequest(axiosRequestConfig)) {
+      return axiosRequestConfig;
+    }
+    if (isStrict()) {
+      const { url } = axiosRequestConfig;
+      const error = new RequestConfigError(
+        `Request to an untrusted origin rejected: ${url}`,
+        { httpErrorRequestUrl: url },
+        { config: axiosRequestConfig },
+      );
+      logFrontendAuthError(error, loggingService);
+      throw error;
+    }
+    // The other interceptors skip untrusted requests, so the request goes out
+    // without a csrf token, jwt headers or cookies.
+    // eslint-disable-next-line no-param-reassign
+    axiosRequestConfig.withCredentials = false;
+    return axiosRequestConfig;
+  };
+
+  return interceptor;
+};
+
+const activityTrackingInterceptor = (options) => {
+  const { onActivity, shouldSkip } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (axiosRequestConfig) => {
+    if (!shouldSkip(axiosRequestConfig)) {
+      onActivity();
+    }
+    return axiosRequestConfig;
+  };
+
+  return interceptor;
+};
+
+// Starts measuring a request when it enters the request interceptors. A
+// replayed request keeps the measurements of the original request.
+const requestMetricsInterceptor = (options) => {
+  const { shouldSample } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (axiosRequestConfig) => {
+    if (!axiosRequestConfig.requestMetrics) {
+      // eslint-disable-next-line no-param-reassign
+      axiosRequestConfig.requestMetrics = { isSampled: shouldSample(), startTime: Date.now() };
+    }
+    return axiosRequestConfig;
+  };
+
+  return interceptor;
+};
+
+// Adds the time a request spends waiting on the wrapped interceptor, e.g. for
+// a token, to its measurements under metricName. Requests the wrapped
+// interceptor skips don't wait and are not measured.
+const waitTimeInterceptor = (options) => {
+  const { interceptor: waitedOnInterceptor, metricName, shouldSkip } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = async (axiosRequestConfig) => {
+    if (shouldSkip(axiosRequestConfig)) {
+      return waitedOnInterceptor(axiosRequestConfig);
+    }
+    const startTime = Date.now();
+    const processedConfig = await waitedOnInterceptor(axiosRequestConfig);
+    const { requestMetrics } = processedConfig;
+    if (requestMetrics && requestMetrics.isSampled) {
+      requestMetrics[metricName] = (requestMetrics[metricName] || 0) + (Date.now() - startTime);
+    }
+    return processedConfig;
+  };
+
+  return interceptor;
+};
+
+// A replayed request settles the original request too, and shares its
+// measurements with it. They are reported only once.
+const reportedRequests = new WeakSet();
+
+// Reports the measurements of a sampled request once it settles. Takes the
+// response, or the error the request rejects with, and returns it.
+const requestMetricsResponseInterceptor = (options) => {
+  const { report } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (responseOrError) => {
+    const { config: axiosRequestConfig, response, customAttributes } = responseOrError;
+    if (!axiosRequestConfig || !axiosRequestConfig.requestMetrics ||
+      !axiosRequestConfig.requestMetrics.isSampled || reportedRequests.has(axiosRequestConfig.requestMetrics)) {
+      return responseOrError;
+    }
+    reportedRequests.add(axiosRequestConfig.requestMetrics);
+    const {
+      startTime,
+      jwtTokenWait,
+      csrfTokenWait,
+    } = axiosRequestConfig.requestMetrics;
+    const isError = responseOrError instanceof Error;
+    // Paths and query strings often identify the user, e.g. the username in
+    // the accounts api, so requests are only told apart by a route they name.
+    const attributes = {
+      method: axiosRequestConfig.method,
+      origin: getUrlOrigin(axiosRequestConfig.url, axiosRequestConfig.baseURL),
+      status: isError ? response && response.status : responseOrError.status,
+      outcome: isError ? (customAttributes && customAttributes.httpErrorType) || 'error' : 'success',
+    };
+    if (axiosRequestConfig.metricsRoute !== undefined) {
+      attributes.route = axiosRequestConfig.metricsRoute;
+    }
+    report('requestDuration', Date.now() - startTime, attributes);
+    if (jwtTokenWait !== undefined) {
+      report('jwtTokenWait', jwtTokenWait, attributes);
+    }
+    if (csrfTokenWait !== undefined) {
+      report('csrfTokenWait', csrfTokenWait, attributes);
+    }
+    return responseOrError;
+  };
+
+  return interceptor;
+};
+
+// Replayed requests reject with an error that their own pass through the
+// interceptors already processed and logged.
+const processedErrors = new WeakSet();
+
+const processAxiosRequestErrorInterceptor = (options) => {
+  const { loggingService } = options;
+
+  // Creating the interceptor inside this closure to
+  // maintain reference to the options supplied.
+  const interceptor = (error) => {
+    // Errors thrown by the request interceptors are either errors of
+    // frontend-auth or carry no request config, and were logged where they
+    // were thrown. Cancelled requests carry no config either, but are
+    // classified like the other errors.
+    if (processedErrors.has(error) || error instanceof FrontendAuthError ||
+      (!error.config && !axios.isCancel(error))) {
+      return Promise.reject(error);
+    }
+    const processedError = processAxiosError(error);
+    processedErrors.add(processedError);
+    const { httpErrorStatus } = processedError.customAttributes;
+    if (httpErrorStatus === 401 || httpErrorStatus === 403) {
+      loggingService.logInfo(processedError, processedError.customAttributes);
+    }
+    return Promise.reject(processedError);
+  };
+
+  return interceptor;
 };
 
 export {
+  activityTrackingInterceptor,
+  camelCaseResponseDataInterceptor,
+  cancellationInterceptor,
   csrfTokenProviderInterceptor,
+  csrfTokenRejectionInterceptor,
   jwtTokenProviderInterceptor,
   processAxiosRequestErrorInterceptor,
+  requestMetricsInterceptor,
+  requestMetricsResponseInterceptor,
+  snakeCaseRequestDataInterceptor,
+  trustedOriginInterceptor,
+  unauthorizedResponseInterceptor,
+  waitTimeInterceptor,
 };
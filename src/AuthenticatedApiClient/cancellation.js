@@ -0,0 +1,68 @@
+import axios from 'axios';
+
+const ABORTED_MESSAGE = 'Request aborted.';
+
+/**
+ * Gets an axios cancel token that is cancelled when the signal of an
+ * AbortController aborts, for passing to code that expects a cancel token.
+ * Requests made with the authenticated api client also accept the signal
+ * directly in their config.
+ *
+ * ```
+ *  const abortController = new AbortController();
+ *  apiClient.get(url, { cancelToken: getCancelTokenFromAbortSignal(abortController.signal) });
+ * ```
+ *
+ * @param {AbortSignal} signal
+ * @returns {CancelToken}
+ */
+const getCancelTokenFromAbortSignal = signal => new axios.CancelToken((cancel) => {
+  if (signal.aborted) {
+    cancel(ABORTED_MESSAGE);
+    return;
+  }
+  signal.addEventListener('abort', () => cancel(ABORTED_MESSAGE));
+});
+
+// A cancel token that is cancelled as soon as one of the cancel tokens is.
+const combineCancelTokens = cancelTokens => new axios.CancelToken((cancel) => {
+  const cancelledToken = cancelTokens.find(cancelToken => cancelToken.reason);
+  if (cancelledToken) {
+    cancel(cancelledToken.reason.message);
+    return;
+  }
+  cancelTokens.forEach((cancelToken) => {
+    cancelToken.promise.then(reason => cancel(reason.message));
+  });
+});
+
+// Every request made in a cancel scope shares its cancel token until the
+// scope is cancelled. Requests made in the scope afterwards get a new one.
+const createCancelScopes = () => {
+  const cancelTokenSources = {};
+
+  const getCancelScopeToken = (cancelScope) => {
+    if (cancelTokenSources[cancelScope] === undefined) {
+      cancelTokenSources[cancelScope] = axios.CancelToken.source();
+    }
+    return cancelTokenSources[cancelScope].token;
+  };
+
+  const cancelScope = (scope, message = `Requests in cancel scope ${scope} cancelled.`) => {
+    if (cancelTokenSources[scope] !== undefined) {
+      cancelTokenSources[scope].cancel(message);
+      delete cancelTokenSources[scope];
+    }
+  };
+
+  return {
+    cancelScope,
+    getCancelScopeToken,
+  };
+};
+
+export {
+  combineCancelTokens,
+  createCancelScopes,
+  getCancelTokenFromAbortSignal,
+};
@@ -0,0 +1,25 @@
+// The difference in milliseconds between the server's clock and the client's
+// clock. Positive values mean the client clock is behind the server clock.
+let serverTimeOffset = 0;
+
+// Updates the client/server clock offset from the Date header of a response.
+// Cross-origin responses only expose the Date header to JavaScript if the
+// server lists it in Access-Control-Expose-Headers. Responses without a
+// readable Date header leave the last known offset untouched.
+const recordServerTime = (axiosResponse) => {
+  if (!axiosResponse || !axiosResponse.headers) {
+    return;
+  }
+
+  const serverTime = Date.parse(axiosResponse.headers.date);
+  if (!Number.isNaN(serverTime)) {
+    serverTimeOffset = serverTime - Date.now();
+  }
+};
+
+const getServerNowInSeconds = () => (Date.now() + serverTimeOffset) / 1000;
+
+export {
+  getServerNowInSeconds,
+  recordServerTime,
+};
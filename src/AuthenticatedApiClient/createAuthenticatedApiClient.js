@@ -0,0 +1,627 @@
+import axios from 'axios';
+import {
+  activityTrackingInterceptor,
+  camelCaseResponseDataInterceptor,
+  cancellationInterceptor,
+  csrfTokenProviderInterceptor,
+  csrfTokenRejectionInterceptor,
+  jwtTokenProviderInterceptor,
+  processAxiosRequestErrorInterceptor,
+  requestMetricsInterceptor,
+  requestMetricsResponseInterceptor,
+  snakeCaseRequestDataInterceptor,
+  trustedOriginInterceptor,
+  unauthorizedResponseInterceptor,
+  waitTimeInterceptor,
+} from './axiosInterceptors';
+import { getUrlOrigin, logFrontendAuthError } from './utils';
+import getJwtToken, { decodeJwtCookie } from './getJwtToken';
+import createTokenRefreshScheduler from './tokenRefreshScheduler';
+import createIdleTracker from './idleTracker';
+import { createRetryAdapter } from './retry';
+import { createRateLimitAdapter, getRateLimitedOrigins } from './rateLimiting';
+import createResponseCache from './responseCache';
+import createDedupeAdapter from './requestDeduplication';
+import { createCancelScopes } from './cancellation';
+import { RedirectLoopError } from './errors';
+import createRedactor from './redaction';
+import createMetricsReporter from './metrics';
+import { AUTH_EVENTS, publish } from './authEvents';
+
+const DEFAULT_PROACTIVE_TOKEN_REFRESH_LEAD_TIME = 60;
+const DEFAULT_IDLE_TIMEOUT_WARNING_TIME = 60;
+const DEFAULT_RATE_LIMIT_MAX_WAIT = 30;
+const AUTH_MODES = ['cookie', 'header'];
+const CSRF_TOKEN_STRATEGIES = ['api', 'cookie', 'cookie-then-api'];
+// Requests are only retried when the client or the request asks for it.
+// Network errors and timeouts are retryable along with the statuses below.
+const DEFAULT_REQUEST_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 300,
+  maxDelay: 5000,
+  retryableStatuses: [502, 503, 504],
+  methods: ['get', 'head', 'options'],
+};
+
+let nextClientId = 1;
+
+const validateConfig = (incomingConfig) => {
+  [
+    'appBaseUrl',
+    'loginUrl',
+    'logoutUrl',
+    'loggingService',
+    'refreshAccessTokenEndpoint',
+    'accessTokenCookieName',
+    'csrfTokenApiPath',
+  ].forEach((key) => {
+    if (incomingConfig[key] === undefined) {
+      throw new Error(`Invalid configuration supplied to frontend auth. ${key} is required.`);
+    }
+  });
+
+  // validate the logging service
+  [
+    'logInfo',
+    'logError',
+  ].forEach((key) => {
+    if (incomingConfig.loggingService[key] === undefined) {
+      throw new Error(`Invalid configuration supplied to frontend auth. loggingService.${key} must be a function.`);
+    }
+  });
+
+  if (incomingConfig.loggingService.logMetric !== undefined &&
+    typeof incomingConfig.loggingService.logMetric !== 'function') {
+    throw new Error('Invalid configuration supplied to frontend auth. loggingService.logMetric must be a function.');
+  }
+
+  const { metrics } = incomingConfig;
+  if (metrics !== undefined && typeof metrics !== 'boolean' && (typeof metrics !== 'object' || metrics === null)) {
+    throw new Error('Invalid configuration supplied to frontend auth. metrics must be a boolean or an object.');
+  }
+  if (metrics && metrics.sampleRate !== undefined &&
+    !(typeof metrics.sampleRate === 'number' && metrics.sampleRate >= 0 && metrics.sampleRate <= 1)) {
+    throw new Error('Invalid configuration supplied to frontend auth. metrics.sampleRate must be a number between 0 and 1.');
+  }
+
+  if (incomingConfig.authMode !== undefined && !AUTH_MODES.includes(incomingConfig.authMode)) {
+    throw new Error(`Invalid configuration supplied to frontend auth. authMode must be one of ${AUTH_MODES.join(', ')}.`);
+  }
+
+  // The header and payload cookie of a split jwt cookie has no signature to
+  // verify or to send in an authorization header.
+  if (incomingConfig.accessTokenHeaderPayloadCookieName !== undefined) {
+    if (incomingConfig.accessTokenSignatureVerification !== undefined) {
+      throw new Error('Invalid configuration supplied to frontend auth. accessTokenSignatureVerification can\'t be used with accessTokenHeaderPayloadCookieName.');
+    }
+    if (incomingConfig.authMode === 'header') {
+      throw new Error('Invalid configuration supplied to frontend auth. The header authMode can\'t be used with accessTokenHeaderPayloadCookieName.');
+    }
+  }
+
+  if (incomingConfig.csrfTokenStrategy !== undefined &&
+    !CSRF_TOKEN_STRATEGIES.includes(incomingConfig.csrfTokenStrategy)) {
+    throw new Error(`Invalid configuration supplied to frontend auth. csrfTokenStrategy must be one of ${CSRF_TOKEN_STRATEGIES.join(', ')}.`);
+  }
+
+  if (incomingConfig.trustedOrigins !== undefined && !Array.isArray(incomingConfig.trustedOrigins)) {
+    throw new Error('Invalid configuration supplied to frontend auth. trustedOrigins must be an array.');
+  }
+
+  const { retry } = incomingConfig;
+  if (retry !== undefined && typeof retry !== 'boolean' && (typeof retry !== 'object' || retry === null)) {
+    throw new Error('Invalid configuration supplied to frontend auth. retry must be a boolean or an object.');
+  }
+
+  ['snakeCaseRequestData', 'camelCaseResponseData'].forEach((key) => {
+    const keyConversion = incomingConfig[key];
+    if (keyConversion !== undefined && typeof keyConversion !== 'boolean' &&
+      (typeof keyConversion !== 'object' || keyConversion === null)) {
+      throw new Error(`Invalid configuration supplied to frontend auth. ${key} must be a boolean or a key map.`);
+    }
+  });
+
+  const { logRedaction } = incomingConfig;
+  if (logRedaction !== undefined) {
+    if (typeof logRedaction !== 'object' || logRedaction === null) {
+      throw new Error('Invalid configuration supplied to frontend auth. logRedaction must be an object.');
+    }
+    if (logRedaction.redactedKeys !== undefined && !Array.isArray(logRedaction.redactedKeys)) {
+      throw new Error('Invalid configuration supplied to frontend auth. logRedaction.redactedKeys must be an array.');
+    }
+    const { maxDataLength } = logRedaction;
+    if (maxDataLength !== undefined && !(typeof maxDataLength === 'number' && maxDataLength >= 0)) {
+      throw new Error('Invalid configuration supplied to frontend auth. logRedaction.maxDataLength must be a number of characters.');
+    }
+  }
+
+  const { rateLimitMaxWait } = incomingConfig;
+  if (rateLimitMaxWait !== undefined && !(typeof rateLimitMaxWait === 'number' && rateLimitMaxWait >= 0)) {
+    throw new Error('Invalid configuration supplied to frontend auth. rateLimitMaxWait must be a number of seconds.');
+  }
+
+  const { idleTimeout } = incomingConfig;
+  if (idleTimeout !== undefined) {
+    if (typeof idleTimeout !== 'object' || idleTimeout === null) {
+      throw new Error('Invalid configuration supplied to frontend auth. idleTimeout must be an object.');
+    }
+    const { timeout, warningTime = DEFAULT_IDLE_TIMEOUT_WARNING_TIME } = idleTimeout;
+    if (!(typeof timeout === 'number' && timeout > 0)) {
+      throw new Error('Invalid configuration supplied to frontend auth. idleTimeout.timeout must be a positive number of seconds.');
+    }
+    // The default warningTime counts too, so timeouts of a minute or less
+    // need a shorter warningTime.
+    if (!(typeof warningTime === 'number' && warningTime >= 0 && warningTime < timeout)) {
+      throw new Error('Invalid configuration supplied to frontend auth. idleTimeout.warningTime must be a number of seconds less than idleTimeout.timeout.');
+    }
+  }
+};
+
+// The origin a request goes to.
+const getRequestOrigin = ({ url, baseURL }) => getUrlOrigin(url, baseURL);
+
+// Creates the auth functions for a config. getConfig is called each time the
+// config is read, which lets the singleton follow later calls to configure().
+const createAuth = (getConfig) => {
+  // Logs to the logging service of the config at the time of logging, with
+  // tokens, cookies and personal information redacted.
+  const log = (level, errorOrMessage, customAttributes) => {
+    const { loggingService: configuredLoggingService, logRedaction } = getConfig();
+    const { redactLogArguments } = createRedactor(logRedaction);
+    configuredLoggingService[level](...redactLogArguments(errorOrMessage, customAttributes));
+  };
+  const loggingService = {
+    logError: (errorOrMessage, customAttributes) => log('logError', errorOrMessage, customAttributes),
+    logInfo: (errorOrMessage, customAttributes) => log('logInfo', errorOrMessage, customAttributes),
+    logMetric: (name, value, attributes) => {
+      const { loggingService: configuredLoggingService, logRedaction } = getConfig();
+      const { redactCustomAttributes } = createRedactor(logRedaction);
+      configuredLoggingService.logMetric(name, value, redactCustomAttributes(attributes));
+    },
+  };
+
+  // Metrics are reported while the metrics option of the config is set.
+  const metricsReporter = createMetricsReporter({
+    getOptions: () => getConfig().metrics,
+    loggingService,
+    canLogMetrics: () => typeof getConfig().loggingService.logMetric === 'function',
+  });
+
+  // The cookie the jwt access token is read from. With a split jwt cookie that
+  // is the cookie holding the header and payload.
+  const getAccessTokenCookieName = () => {
+    const { accessTokenHeaderPayloadCookieName, accessTokenCookieName } = getConfig();
+    return accessTokenHeaderPayloadCookieName || accessTokenCookieName;
+  };
+
+  // Options for getJwtToken and refresh that come from the config.
+  const getJwtTokenOptions = () => {
+    const config = getConfig();
+    return {
+      expiryLeewayInSeconds: config.accessTokenExpiryLeeway,
+      retryPolicy: config.refreshAccessTokenRetryPolicy,
+      coordinateAcrossTabs: config.crossTabTokenRefresh,
+      claimValidation: config.accessTokenClaimValidation,
+      signatureVerification: config.accessTokenSignatureVerification,
+      loggingService,
+      metricsReporter,
+    };
+  };
+
+  // Cached responses belong to the user whose jwt cookie was present when
+  // they were requested.
+  const responseCache = createResponseCache({
+    getUserKey: () => {
+      try {
+        const decodedAccessToken = decodeJwtCookie(getAccessTokenCookieName());
+        return decodedAccessToken ? decodedAccessToken.user_id : null;
+      } catch (e) {
+        return null;
+      }
+    },
+  });
+
+  const redirectToLogin = (redirectUrl = getConfig().appBaseUrl) => {
+    publish(AUTH_EVENTS.BEFORE_LOGIN_REDIRECT, { redirectUrl }, loggingService);
+    metricsReporter.flush();
+    global.location.assign(`${getConfig().loginUrl}?next=${encodeURIComponent(redirectUrl)}`);
+  };
+
+  const redirectToLogout = (redirectUrl = getConfig().appBaseUrl) => {
+    responseCache.clear();
+    publish(AUTH_EVENTS.BEFORE_LOGOUT_REDIRECT, { redirectUrl }, loggingService);
+    metricsReporter.flush();
+    global.location.assign(`${getConfig().logoutUrl}?redirect_url=${encodeURIComponent(redirectUrl)}`);
+  };
+
+  // Called when the server rejects a request with 401 and a token refresh
+  // confirms that the user is logged out.
+  const handleUnauthenticated = () => {
+    const { handleUnauthenticated: configuredHandler } = getConfig();
+    if (configuredHandler) {
+      configuredHandler();
+    } else {
+      redirectToLogin(global.location.href);
+    }
+  };
+
+  const handleUnexpectedAccessTokenRefreshError = (error) => {
+    // There were unexpected errors getting the access token.
+    logFrontendAuthError(error, loggingService);
+    throw error;
+  };
+
+  const getAuthenticatedUser = async () => {
+    let decodedAccessToken;
+
+    try {
+      decodedAccessToken = await getJwtToken(
+        getAccessTokenCookieName(),
+        getConfig().refreshAccessTokenEndpoint,
+        getJwtTokenOptions(),
+      );
+    } catch (error) {
+      // There were unexpected errors getting the access token.
+      handleUnexpectedAccessTokenRefreshError(error);
+    }
+
+    if (decodedAccessToken !== null) {
+      return {
+        userId: decodedAccessToken.user_id,
+        username: decodedAccessToken.preferred_username,
+        roles: decodedAccessToken.roles || [],
+        administrator: decodedAccessToken.administrator,
+      };
+    }
+
+    return null;
+  };
+
+  const ensureAuthenticatedUser = async (route) => {
+    const authenticatedUserData = await getAuthenticatedUser();
+
+    if (authenticatedUserData === null) {
+      const { loginUrl, appBaseUrl } = getConfig();
+      const isRedirectFromLoginPage = global.document.referrer &&
+        global.document.referrer.startsWith(loginUrl);
+
+      if (isRedirectFromLoginPage) {
+        const redirectLoopError = new RedirectLoopError('Redirect from login page. Rejecting to avoid infinite redirect loop.');
+        logFrontendAuthError(redirectLoopError, loggingService);
+        throw redirectLoopError;
+      }
+
+      // The user is not authenticated, send them to the login page.
+      redirectToLogin(appBaseUrl + route);
+    }
+
+    return authenticatedUserData;
+  };
+
+  // The csrf token header name configured for the origin of a request, if any.
+  const getCsrfTokenHeaderName = (axiosRequestConfig) => {
+    const { csrfTokenHeaderNames = {} } = getConfig();
+    const origin = getRequestOrigin(axiosRequestConfig);
+    const configuredOrigin = Object.keys(csrfTokenHeaderNames)
+      .find(headerNameOrigin => getUrlOrigin(headerNameOrigin) === origin);
+    return configuredOrigin && csrfTokenHeaderNames[configuredOrigin];
+  };
+
+  // Without a trustedOrigins list every origin is trusted. The origin of the
+  // page itself, which relative urls belong to, is always trusted.
+  const isTrustedRequest = (axiosRequestConfig) => {
+    const { trustedOrigins } = getConfig();
+    if (trustedOrigins === undefined) {
+      return true;
+    }
+    const origin = getRequestOrigin(axiosRequestConfig);
+    return origin === getUrlOrigin(global.location.href) ||
+      trustedOrigins.map(getUrlOrigin).includes(origin);
+  };
+
+  // Auth is only attached to requests that want it and go to a trusted origin.
+  const shouldSkipAuth = axiosRequestConfig =>
+    axiosRequestConfig.isPublic || !isTrustedRequest(axiosRequestConfig);
+
+  // The retry policy of a request combines the retry option of the client
+  // with that of the request. retry: false on the request turns retries off.
+  const getRetryPolicy = (axiosRequestConfig) => {
+    const { retry: clientRetry } = getConfig();
+    const { retry: requestRetry } = axiosRequestConfig;
+    if (requestRetry === false || (requestRetry === undefined && !clientRetry)) {
+      return null;
+    }
+    const retryPolicy = {
+      ...DEFAULT_REQUEST_RETRY_POLICY,
+      ...(typeof clientRetry === 'object' ? clientRetry : {}),
+      ...(typeof requestRetry === 'object' ? requestRetry : {}),
+    };
+    retryPolicy.methods = retryPolicy.methods.map(method => method.toLowerCase());
+    return retryPolicy;
+  };
+
+  // The key map a request uses for the snakeCaseRequestData or
+  // camelCaseResponseData option, or null when the option is off. The option
+  // of the request overrides that of the client; true means no key map.
+  const getKeyMap = optionName => (axiosRequestConfig) => {
+    const requestOption = axiosRequestConfig[optionName];
+    const option = requestOption === undefined ? getConfig()[optionName] : requestOption;
+    if (!option) {
+      return null;
+    }
+    return option === true ? {} : option;
+  };
+
+  const createHttpClient = () => {
+    const config = getConfig();
+    // Keeps the csrf tokens of this client apart from those of other clients.
+    const clientId = nextClientId;
+    nextClientId += 1;
+
+    const httpClient = axios.create();
+    // Set withCredentials to true. Enables cross-site Access-Control requests
+    // to be made using cookies, authorization headers or TLS client
+    // certificates. More on MDN:
+    // https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/withCredentials
+    httpClient.defaults.withCredentials = true;
+    // Requests to origins that rate limited us wait for the rate limit window
+    // to pass. Transient failures of idempotent requests are retried, each
+    // attempt respecting the rate limits, before the response interceptors
+    // see them.
+    const { rateLimitMaxWait = DEFAULT_RATE_LIMIT_MAX_WAIT } = config;
+    const rateLimitAdapter = createRateLimitAdapter(httpClient.defaults.adapter, {
+      maxWaitInMs: rateLimitMaxWait * 1000,
+      onRateLimited: data => publish(AUTH_EVENTS.RATE_LIMITED, data, loggingService),
+    });
+    const retryAdapter = createRetryAdapter(rateLimitAdapter, getRetryPolicy);
+    // GET responses are cached when the client or the request asks for it.
+    const responseCacheAdapter = responseCache.createAdapter(
+      retryAdapter,
+      ({ cache }) => (cache === undefined ? Boolean(getConfig().responseCache) : Boolean(cache)),
+    );
+    // Identical GET requests in flight at the same time share one request
+    // unless they opt out with dedupe: false.
+    httpClient.defaults.adapter = createDedupeAdapter(
+      responseCacheAdapter,
+      ({ dedupe }) => dedupe !== false,
+    );
+
+    // Axios interceptors
+
+    // The JWT access token interceptor attempts to refresh the user's jwt token
+    // before any request unless the isPublic flag is set on the request config.
+    const refreshAccessTokenInterceptor = jwtTokenProviderInterceptor({
+      tokenCookieName: getAccessTokenCookieName(),
+      tokenRefreshEndpoint: config.refreshAccessTokenEndpoint,
+      jwtTokenOptions: getJwtTokenOptions(),
+      handleUnexpectedRefreshError: handleUnexpectedAccessTokenRefreshError,
+      shouldSkip: shouldSkipAuth,
+      // In header mode, requests to the allowed origins carry the jwt in an
+      // Authorization header. All other requests rely on the jwt cookie.
+      shouldUseAuthorizationHeader: (axiosRequestConfig) => {
+        const { authMode, authHeaderOrigins = [] } = getConfig();
+        const allowedOrigins = authHeaderOrigins.map(getUrlOrigin);
+        return authMode === 'header' && allowedOrigins.includes(getRequestOrigin(axiosRequestConfig));
+      },
+    });
+
+    // Only post, put, patch and delete requests to trusted origins need a
+    // csrf token.
+    const shouldSkipCsrfToken = (axiosRequestConfig) => {
+      const { method, isCsrfExempt } = axiosRequestConfig;
+      const CSRF_PROTECTED_METHODS = ['post', 'put', 'patch', 'delete'];
+      return isCsrfExempt || !CSRF_PROTECTED_METHODS.includes(method) ||
+        !isTrustedRequest(axiosRequestConfig);
+    };
+    // The CSRF token intercepter fetches and caches a csrf token for any post,
+    // put, patch, or delete request. That token is then added to the request
+    // headers.
+    const attachCsrfTokenInterceptor = csrfTokenProviderInterceptor({
+      csrfTokenApiPath: config.csrfTokenApiPath,
+      csrfTokenOptions: {
+        strategy: config.csrfTokenStrategy,
+        cookieName: config.csrfTokenCookieName,
+        clientId,
+      },
+      getCsrfTokenHeaderName,
+      shouldSkip: shouldSkipCsrfToken,
+    });
+
+    // Request interceptors: Axios runs the interceptors in reverse order from
+    // how they are listed. After fetching csrf tokens no longer require jwt
+    // authentication, it won't matter which happens first. This change is
+    // coming soon in edx-platform. Nov. 2019
+    httpClient.interceptors.request.use(snakeCaseRequestDataInterceptor({
+      getKeyMap: getKeyMap('snakeCaseRequestData'),
+    }));
+    // The time requests wait on csrf and jwt tokens is measured.
+    httpClient.interceptors.request.use(waitTimeInterceptor({
+      interceptor: attachCsrfTokenInterceptor,
+      metricName: 'csrfTokenWait',
+      shouldSkip: shouldSkipCsrfToken,
+    }));
+    httpClient.interceptors.request.use(waitTimeInterceptor({
+      interceptor: refreshAccessTokenInterceptor,
+      metricName: 'jwtTokenWait',
+      shouldSkip: shouldSkipAuth,
+    }));
+
+    // Stops the idle tracker and token refresh scheduler of the client.
+    const backgroundTasks = [];
+
+    // Log the user out after a period of inactivity. Authenticated requests
+    // optionally count as activity.
+    if (config.idleTimeout) {
+      const {
+        timeout,
+        warningTime = DEFAULT_IDLE_TIMEOUT_WARNING_TIME,
+        onWarning,
+        onResume,
+        redirectUrl,
+        countApiActivity = false,
+      } = config.idleTimeout;
+      const idleTracker = createIdleTracker({
+        timeoutInSeconds: timeout,
+        warningInSeconds: warningTime,
+        onWarning,
+        onResume,
+        onTimeout: () => redirectToLogout(redirectUrl || global.location.href),
+      });
+      if (countApiActivity) {
+        httpClient.interceptors.request.use(activityTrackingInterceptor({
+          onActivity: idleTracker.recordActivity,
+          shouldSkip: shouldSkipAuth,
+        }));
+      }
+      idleTracker.start();
+      backgroundTasks.push(idleTracker);
+    }
+
+    // Runs before the interceptors that may wait on token requests, so that a
+    // request cancelled during the wait is not sent.
+    const cancelScopes = createCancelScopes();
+    httpClient.interceptors.request.use(cancellationInterceptor({
+      getCancelScopeToken: cancelScopes.getCancelScopeToken,
+    }));
+
+    // Starts measuring sampled requests before any of the interceptors that
+    // may wait.
+    httpClient.interceptors.request.use(requestMetricsInterceptor({
+      shouldSample: metricsReporter.shouldSample,
+    }));
+
+    // Listed last so that it runs first: requests to untrusted origins are
+    // either rejected or sent without credentials.
+    httpClient.interceptors.request.use(trustedOriginInterceptor({
+      isTrustedRequest,
+      isStrict: () => Boolean(getConfig().strictTrustedOrigins),
+      loggingService,
+    }));
+
+    // Response interceptors: Axios runs these in the order they are listed.
+    // The first replays a request once when the server rejected its csrf
+    // token, which happens after Django rotates the token.
+    httpClient.interceptors.response.use(
+      response => response,
+      csrfTokenRejectionInterceptor({
+        replayRequest: axiosRequestConfig => httpClient.request(axiosRequestConfig),
+        getCsrfTokenHeaderName,
+        clientId,
+      }),
+    );
+
+    // Then a 401 is answered with a forced token refresh and the request is
+    // replayed once with the refreshed token.
+    httpClient.interceptors.response.use(
+      response => response,
+      unauthorizedResponseInterceptor({
+        tokenCookieName: getAccessTokenCookieName(),
+        tokenRefreshEndpoint: config.refreshAccessTokenEndpoint,
+        jwtTokenOptions: getJwtTokenOptions(),
+        replayRequest: axiosRequestConfig => httpClient.request(axiosRequestConfig),
+        handleUnauthenticated,
+        shouldSkip: shouldSkipAuth,
+        loggingService,
+      }),
+    );
+
+    // Moves axios response error data into the error
+    // object at error.customAttributes
+    httpClient.interceptors.response.use(
+      response => response,
+      processAxiosRequestErrorInterceptor({ loggingService }),
+    );
+
+    // Converts the keys of response data when the client or the request asks
+    // for it.
+    httpClient.interceptors.response.use(camelCaseResponseDataInterceptor({
+      getKeyMap: getKeyMap('camelCaseResponseData'),
+    }));
+
+    // Reports the measurements of sampled requests once they settle.
+    const reportRequestMetrics = requestMetricsResponseInterceptor({
+      report: metricsReporter.report,
+    });
+    httpClient.interceptors.response.use(
+      reportRequestMetrics,
+      error => Promise.reject(reportRequestMetrics(error)),
+    );
+
+    // Refresh the jwt access token in the background ahead of its expiry so
+    // that requests don't have to wait on a refresh round trip.
+    if (config.proactiveTokenRefresh) {
+      const { proactiveTokenRefreshLeadTime = DEFAULT_PROACTIVE_TOKEN_REFRESH_LEAD_TIME } = config;
+      const tokenRefreshScheduler = createTokenRefreshScheduler({
+        tokenCookieName: getAccessTokenCookieName(),
+        tokenRefreshEndpoint: config.refreshAccessTokenEndpoint,
+        leadTimeInSeconds: proactiveTokenRefreshLeadTime,
+        jwtTokenOptions: getJwtTokenOptions(),
+      });
+      tokenRefreshScheduler.start();
+      backgroundTasks.push(tokenRefreshScheduler);
+    }
+
+    // Stops the background tasks of a client that is no longer used. Its
+    // requests keep working.
+    const destroy = () => {
+      backgroundTasks.forEach(backgroundTask => backgroundTask.stop());
+    };
+
+    // The auth functions of the client's config travel with the client.
+    Object.assign(httpClient, {
+      getAuthenticatedUser,
+      ensureAuthenticatedUser,
+      redirectToLogin,
+      redirectToLogout,
+      getRateLimitedOrigins,
+      clearResponseCache: responseCache.clear,
+      cancelRequests: cancelScopes.cancelScope,
+      destroy,
+    });
+
+    return httpClient;
+  };
+
+  return {
+    createHttpClient,
+    ensureAuthenticatedUser,
+    getAuthenticatedUser,
+    redirectToLogin,
+    redirectToLogout,
+  };
+};
+
+/**
+ * Creates a new api client, an axios instance, with its own config, csrf
+ * tokens and background tasks. Unlike getAuthenticatedApiClient it can be
+ * called any number of times, e.g. to talk to backends that use different jwt
+ * cookies. It takes the same config as getAuthenticatedApiClient.
+ *
+ * Clients that refresh the same jwt cookie at the same refresh endpoint share
+ * their token refreshes, and all clients share what they learn about the
+ * server's clock. Each client with an idleTimeout or proactiveTokenRefresh
+ * runs its own background task, so only one client of an app should have
+ * them. Call destroy on a client that is no longer used to stop its
+ * background tasks.
+ *
+ * ```
+ *  const enterpriseApiClient = createAuthenticatedApiClient({
+ *    ...config,
+ *    accessTokenCookieName: 'enterprise-jwt-cookie',
+ *  });
+ *  enterpriseApiClient.getAuthenticatedUser().then((user) => {});
+ * ```
+ *
+ * The client also has the getAuthenticatedUser, ensureAuthenticatedUser,
+ * redirectToLogin and redirectToLogout functions, which use its config.
+ *
+ * @param {object} config see getAuthenticatedApiClient
+ * @returns {HttpClient} A configured axios http client
+ */
+const createAuthenticatedApiClient = (config) => {
+  validateConfig(config);
+  return createAuth(() => config).createHttpClient();
+};
+
+export { createAuth, validateConfig };
+export default createAuthenticatedApiClient;
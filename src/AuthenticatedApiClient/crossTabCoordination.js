@@ -0,0 +1,162 @@
+// Lets one browser tab perform a token refresh on behalf of all open tabs.
+// Tabs elect a refresher with a lock in localStorage. The refresher announces
+// the outcome over a BroadcastChannel, or through localStorage storage events
+// in browsers without BroadcastChannel. Without localStorage every tab simply
+// refreshes on its own.
+import { wait } from './retry';
+import { getLocalStorage } from './utils';
+
+const CHANNEL_NAME = 'frontend-auth';
+const LOCK_KEY_PREFIX = 'frontend-auth:lock:';
+const OUTCOME_KEY_PREFIX = 'frontend-auth:outcome:';
+// How long a lock is honored. Protects against tabs that were closed in
+// the middle of a refresh and never released their lock.
+const LOCK_TIMEOUT_IN_MS = 10 * 1000;
+// Two tabs can take the lock at almost the same moment. Each waits this long
+// and then checks it still owns the lock; the last writer wins.
+const LOCK_CONFIRMATION_DELAY_IN_MS = 50;
+
+const OUTCOMES = {
+  SUCCEEDED: 'succeeded',
+  UNAUTHENTICATED: 'unauthenticated',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed-out',
+};
+
+const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+const readJson = (storage, key) => parseJson(storage.getItem(key));
+
+const acquireLock = (storage, lockKey) => {
+  const currentLock = readJson(storage, lockKey);
+  if (currentLock && currentLock.owner !== tabId && currentLock.expiresAt > Date.now()) {
+    return Promise.resolve({ acquired: false, expiresAt: currentLock.expiresAt });
+  }
+
+  const expiresAt = Date.now() + LOCK_TIMEOUT_IN_MS;
+  storage.setItem(lockKey, JSON.stringify({ owner: tabId, expiresAt }));
+  return wait(LOCK_CONFIRMATION_DELAY_IN_MS).then(() => {
+    const lock = readJson(storage, lockKey);
+    return {
+      acquired: Boolean(lock) && lock.owner === tabId,
+      expiresAt: lock ? lock.expiresAt : expiresAt,
+    };
+  });
+};
+
+const releaseLock = (storage, lockKey) => {
+  const lock = readJson(storage, lockKey);
+  if (lock && lock.owner === tabId) {
+    storage.removeItem(lockKey);
+  }
+};
+
+// Starts listening for the outcome of a refresh performed by another tab.
+// Listening starts before the lock is checked so that an outcome announced
+// in between is not missed.
+const listenForOutcome = (name) => {
+  const outcomeKey = `${OUTCOME_KEY_PREFIX}${name}`;
+  let resolveOutcome;
+  const outcomePromise = new Promise((resolve) => {
+    resolveOutcome = resolve;
+  });
+
+  let channel = null;
+  const handleStorageEvent = (event) => {
+    if (event.key === outcomeKey) {
+      const message = parseJson(event.newValue);
+      if (message) {
+        resolveOutcome(message.outcome);
+      }
+    }
+  };
+
+  if (typeof global.BroadcastChannel === 'function') {
+    channel = new global.BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+      if (data && data.name === name) {
+        resolveOutcome(data.outcome);
+      }
+    };
+  } else {
+    global.addEventListener('storage', handleStorageEvent);
+  }
+
+  const stopListening = () => {
+    if (channel !== null) {
+      channel.close();
+    } else {
+      global.removeEventListener('storage', handleStorageEvent);
+    }
+  };
+
+  const waitUntil = (expiresAt) => {
+    const timeoutId = setTimeout(
+      () => resolveOutcome(OUTCOMES.TIMED_OUT),
+      Math.max(expiresAt - Date.now(), 0),
+    );
+    return outcomePromise.finally(() => clearTimeout(timeoutId));
+  };
+
+  return { waitUntil, stopListening };
+};
+
+const announceOutcome = (storage, name, outcome) => {
+  if (typeof global.BroadcastChannel === 'function') {
+    const channel = new global.BroadcastChannel(CHANNEL_NAME);
+    channel.postMessage({ name, outcome });
+    channel.close();
+  } else {
+    // Storage events only fire when the value changes, hence the timestamp.
+    storage.setItem(`${OUTCOME_KEY_PREFIX}${name}`, JSON.stringify({ outcome, time: Date.now() }));
+  }
+};
+
+// Runs refreshInThisTab in at most one tab at a time for the given name.
+// The tab that wins the lock runs refreshInThisTab and resolves with its
+// result, which is expected to be null when the user is unauthenticated.
+// Every other tab waits for the winner and then resolves with
+// useOutcomeOfOtherTab(outcome), where outcome is one of OUTCOMES.
+const coordinateAcrossTabs = async (name, refreshInThisTab, useOutcomeOfOtherTab) => {
+  const storage = getLocalStorage();
+  if (storage === null) {
+    return refreshInThisTab();
+  }
+
+  const lockKey = `${LOCK_KEY_PREFIX}${name}`;
+  const outcomeListener = listenForOutcome(name);
+  let lock;
+  try {
+    lock = await acquireLock(storage, lockKey);
+    if (!lock.acquired) {
+      const outcome = await outcomeListener.waitUntil(lock.expiresAt);
+      return useOutcomeOfOtherTab(outcome);
+    }
+  } finally {
+    outcomeListener.stopListening();
+  }
+
+  try {
+    const result = await refreshInThisTab();
+    announceOutcome(storage, name, result === null ? OUTCOMES.UNAUTHENTICATED : OUTCOMES.SUCCEEDED);
+    return result;
+  } catch (error) {
+    announceOutcome(storage, name, OUTCOMES.FAILED);
+    throw error;
+  } finally {
+    releaseLock(storage, lockKey);
+  }
+};
+
+export {
+  coordinateAcrossTabs,
+  OUTCOMES,
+};
@@ -0,0 +1,132 @@
+// The errors frontend-auth rejects with. Every error keeps the
+// customAttributes that are logged along with its message.
+
+class FrontendAuthError extends Error {
+  constructor(message, customAttributes = {}) {
+    super(message);
+    this.name = 'FrontendAuthError';
+    this.customAttributes = customAttributes;
+  }
+
+  // The message of an error is not enumerable and would be left out.
+  toJSON() {
+    return { ...this, name: this.name, message: this.message };
+  }
+}
+
+// Errors of http requests keep the request config, request and response of
+// the axios error they were made from.
+class HttpError extends FrontendAuthError {
+  constructor(message, customAttributes, axiosError = {}) {
+    super(message, customAttributes);
+    this.name = 'HttpError';
+    const { config = {} } = axiosError;
+    this.url = config.url;
+    this.method = config.method;
+    this.code = axiosError.code;
+    this.isAxiosError = axiosError.isAxiosError;
+    // Not enumerable, so that serializing the error leaves them out.
+    Object.defineProperties(this, {
+      config: { value: axiosError.config, writable: true, configurable: true },
+      request: { value: axiosError.request, writable: true, configurable: true },
+      response: { value: axiosError.response, writable: true, configurable: true },
+    });
+  }
+}
+
+/**
+ * The server responded to an api request with an error status.
+ *
+ * @property {number} status
+ * @property {string} url
+ * @property {string} method
+ * @property {*} data the response body, parsed when it is json
+ * @property {object} customAttributes
+ */
+class HttpResponseError extends HttpError {
+  constructor(message, customAttributes, axiosError) {
+    super(message, customAttributes, axiosError);
+    this.name = 'HttpResponseError';
+    this.status = axiosError.response.status;
+    this.data = axiosError.response.data;
+  }
+}
+
+/**
+ * An api request got no response, because of a network problem or a timeout.
+ *
+ * @property {string} url
+ * @property {string} method
+ * @property {object} customAttributes
+ */
+class NetworkError extends HttpError {
+  constructor(message, customAttributes, axiosError) {
+    super(message, customAttributes, axiosError);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * An api request was not sent, for example because it went to an untrusted
+ * origin or to a rate limited one.
+ *
+ * @property {string} url
+ * @property {string} method
+ * @property {object} customAttributes
+ */
+class RequestConfigError extends HttpError {
+  constructor(message, customAttributes, axiosError) {
+    super(message, customAttributes, axiosError);
+    this.name = 'RequestConfigError';
+  }
+}
+
+/**
+ * The jwt access token could not be refreshed. When the refresh request failed
+ * the error has the status, url, method and data of its response, and the
+ * failure is its cause.
+ *
+ * @property {number} [status]
+ * @property {string} [url]
+ * @property {string} [method]
+ * @property {*} [data]
+ * @property {Error} [cause]
+ * @property {object} customAttributes
+ */
+class TokenRefreshError extends FrontendAuthError {
+  constructor(message, customAttributes, cause) {
+    super(message, customAttributes);
+    this.name = 'TokenRefreshError';
+    if (cause !== undefined) {
+      this.cause = cause;
+      ['status', 'url', 'method', 'data'].forEach((key) => {
+        if (cause[key] !== undefined) {
+          this[key] = cause[key];
+        }
+      });
+    }
+  }
+}
+
+/**
+ * The user came back from the login page without being authenticated. The
+ * user is not redirected to login again, which would start a redirect loop.
+ *
+ * @property {object} customAttributes
+ */
+class RedirectLoopError extends FrontendAuthError {
+  constructor(message, customAttributes) {
+    super(message, customAttributes);
+    this.name = 'RedirectLoopError';
+  }
+}
+
+export {
+  FrontendAuthError,
+  HttpError,
+  HttpResponseError,
+  NetworkError,
+  RedirectLoopError,
+  RequestConfigError,
+  TokenRefreshError,
+};
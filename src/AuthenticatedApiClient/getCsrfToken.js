@@ -1,5 +1,8 @@
 import axios from 'axios';
-import { getUrlParts, processAxiosErrorAndThrow } from './utils';
+import Cookies from 'universal-cookie';
+import { getUrlOrigin, processAxiosErrorAndThrow } from './utils';
+import { recordServerTime } from './clockSkew';
+import { RequestConfigError } from './errors';
 
 const httpClient = axios.create();
 // Set withCredentials to true. Enables cross-site Access-Control requests
@@ -9,41 +12,72 @@ const httpClient = axios.create();
 httpClient.defaults.withCredentials = true;
 httpClient.defaults.headers.common['USE-JWT-COOKIE'] = true;
 
+const cookies = new Cookies();
+
+const DEFAULT_CSRF_TOKEN_COOKIE_NAME = 'csrftoken';
+
 const csrfTokenCache = {};
 const csrfTokenRequestPromises = {};
 
-const getCsrfToken = async (url, csrfTokenApiPath) => {
-  let urlParts;
-  try {
-    urlParts = getUrlParts(url);
-  } catch (e) {
-    // If the url is not parsable it's likely because a relative
-    // path was supplied as the url. This is acceptable and in
-    // this case we should use the current origin of the page.
-    urlParts = getUrlParts(global.location.origin);
+// Tokens are cached per client and per origin. Relative urls belong to the
+// origin of the page.
+const getCacheKey = (url, clientId = 'default') => `${clientId} ${getUrlOrigin(url)}`;
+
+// The strategy decides where the token comes from: 'api' fetches it from
+// csrfTokenApiPath, 'cookie' reads it from a cookie set by the server (the
+// double submit cookie pattern) and 'cookie-then-api' falls back to the api
+// when there is no such cookie. Cookie tokens are read fresh on every request
+// so that rotated tokens are picked up, and are therefore not cached.
+const getCsrfToken = async (url, csrfTokenApiPath, options = {}) => {
+  const { strategy = 'api', cookieName = DEFAULT_CSRF_TOKEN_COOKIE_NAME, clientId } = options;
+
+  if (strategy !== 'api') {
+    const cookieCsrfToken = cookies.get(cookieName);
+    if (cookieCsrfToken) {
+      return cookieCsrfToken;
+    }
+    if (strategy === 'cookie') {
+      throw new RequestConfigError(
+        'CSRF token cookie is missing.',
+        { csrfTokenCookieName: cookieName },
+        { config: { url } },
+      );
+    }
   }
 
-  const { protocol, domain } = urlParts;
-  const csrfToken = csrfTokenCache[domain];
+  const cacheKey = getCacheKey(url, clientId);
+  const csrfToken = csrfTokenCache[cacheKey];
 
   if (csrfToken) {
     return csrfToken;
   }
 
-  if (!csrfTokenRequestPromises[domain]) {
-    csrfTokenRequestPromises[domain] = httpClient
-      .get(`${protocol}://${domain}${csrfTokenApiPath}`)
+  if (!csrfTokenRequestPromises[cacheKey]) {
+    csrfTokenRequestPromises[cacheKey] = httpClient
+      .get(`${getUrlOrigin(url)}${csrfTokenApiPath}`)
       .then((response) => {
-        csrfTokenCache[domain] = response.data.csrfToken;
-        return csrfTokenCache[domain];
+        recordServerTime(response);
+        csrfTokenCache[cacheKey] = response.data.csrfToken;
+        return csrfTokenCache[cacheKey];
       })
       .catch(processAxiosErrorAndThrow)
       .finally(() => {
-        delete csrfTokenRequestPromises[domain];
+        delete csrfTokenRequestPromises[cacheKey];
       });
   }
 
-  return csrfTokenRequestPromises[domain];
+  return csrfTokenRequestPromises[cacheKey];
+};
+
+// Evicts the cached csrf token for the origin of the url, so that the next
+// request fetches a fresh one. A token that was already replaced, e.g. by a
+// concurrent request that was rejected too, is left in place.
+const clearCsrfToken = (url, rejectedCsrfToken, clientId) => {
+  const cacheKey = getCacheKey(url, clientId);
+  if (csrfTokenCache[cacheKey] === rejectedCsrfToken) {
+    delete csrfTokenCache[cacheKey];
+  }
 };
 
+export { clearCsrfToken };
 export default getCsrfToken;
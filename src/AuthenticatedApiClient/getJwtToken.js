@@ -2,6 +2,13 @@ import Cookies from 'universal-cookie';
 import jwtDecode from 'jwt-decode';
 import axios from 'axios';
 import { logFrontendAuthError, processAxiosErrorAndThrow } from './utils';
+import { getServerNowInSeconds, recordServerTime } from './clockSkew';
+import { withRetries } from './retry';
+import { coordinateAcrossTabs, OUTCOMES } from './crossTabCoordination';
+import { AUTH_EVENTS, publish } from './authEvents';
+import { TokenRefreshError } from './errors';
+import validateJwtClaims from './validateJwtClaims';
+import verifyJwtSignature, { SIGNATURE_REJECTION_ERRORS } from './verifyJwtSignature';
 
 const httpClient = axios.create();
 // Set withCredentials to true. Enables cross-site Access-Control requests
@@ -12,16 +19,31 @@ httpClient.defaults.withCredentials = true;
 
 const cookies = new Cookies();
 
+const getJwtCookieValue = cookieName => cookies.get(cookieName);
+
+// The cookie holds either the whole token (header.payload.signature) or, when
+// edx-platform splits the token, only header.payload. In that case the
+// signature lives in a separate HttpOnly cookie that JavaScript can't read.
+// Only the payload is decoded, so both forms decode the same way.
 const decodeJwtCookie = (cookieName) => {
   const cookieValue = cookies.get(cookieName);
 
   if (cookieValue) {
     try {
+      const segmentCount = cookieValue.split('.').length;
+      if (segmentCount !== 2 && segmentCount !== 3) {
+        throw new Error(`Expected 2 or 3 JWT segments but found ${segmentCount}.`);
+      }
       return jwtDecode(cookieValue);
     } catch (e) {
       const error = Object.create(e);
       error.message = 'Error decoding JWT token';
-      error.customAttributes = { cookieValue };
+      error.customAttributes = {
+        cookieValue,
+        jwtCookieName: cookieName,
+        jwtCookieError: 'malformed',
+        jwtDecodeError: e.message,
+      };
       throw error;
     }
   }
@@ -29,17 +51,91 @@ const decodeJwtCookie = (cookieName) => {
   return null;
 };
 
-const isTokenExpired = token => !token || token.exp < Date.now() / 1000;
+// The leeway treats tokens as expired slightly early so that they don't expire
+// in flight. The current time comes from the server's clock as best we know it.
+const isTokenExpired = (token, leewayInSeconds = 0) => !token ||
+  token.exp - leewayInSeconds < getServerNowInSeconds();
+
+// Throws if the token fails the configured claim checks or, when configured,
+// signature verification against the JWKS. A signature that could not be
+// checked at all, e.g. because the JWKS could not be fetched or Web Crypto is
+// unavailable, throws a TokenRefreshError instead: refreshing the token won't
+// help, and the user may well be authenticated.
+const verifyJwtToken = async (tokenCookieName, decodedJwtToken, options) => {
+  const { expiryLeewayInSeconds, claimValidation, signatureVerification } = options;
+  validateJwtClaims(decodedJwtToken, claimValidation, expiryLeewayInSeconds);
+  if (signatureVerification) {
+    try {
+      await verifyJwtSignature(getJwtCookieValue(tokenCookieName), signatureVerification);
+    } catch (error) {
+      const { jwtSignatureError } = error.customAttributes || {};
+      if (SIGNATURE_REJECTION_ERRORS.includes(jwtSignatureError)) {
+        throw error;
+      }
+      throw new TokenRefreshError(error.message, error.customAttributes, error);
+    }
+  }
+};
+
+// By default a failed refresh is not retried. Responses without a status
+// (network errors and timeouts) are retryable along with the statuses below.
+const DEFAULT_REFRESH_RETRY_POLICY = {
+  maxAttempts: 1,
+  baseDelay: 300,
+  maxDelay: 5000,
+  retryableStatuses: [408, 500, 502, 503, 504],
+};
 
+// Clients that refresh the same cookie at the same endpoint share the refresh,
+// since they would all receive the same refreshed cookie.
 const refreshRequestPromises = {};
 
-const refresh = (tokenCookieName, refreshEndpoint) => {
-  if (refreshRequestPromises[tokenCookieName] === undefined) {
+// The cookie value of the last refreshed token that failed verification, by
+// refresh. The cookie keeps that token until it changes, and refreshing it
+// again would only return the same token.
+const rejectedTokens = {};
+
+const getRefreshKey = (tokenCookieName, refreshEndpoint) => `${refreshEndpoint} ${tokenCookieName}`;
+
+const refresh = (tokenCookieName, refreshEndpoint, options = {}) => {
+  const refreshKey = getRefreshKey(tokenCookieName, refreshEndpoint);
+  if (refreshRequestPromises[refreshKey] === undefined) {
+    const { expiryLeewayInSeconds } = options;
+    const retryPolicy = { ...DEFAULT_REFRESH_RETRY_POLICY, ...options.retryPolicy };
+    // A 401 means the user is logged out and must resolve to null right away.
+    retryPolicy.retryableStatuses = retryPolicy.retryableStatuses.filter(status => status !== 401);
+    const postRefreshRequest = () => httpClient.post(refreshEndpoint)
+      .then((response) => {
+        recordServerTime(response);
+        return response;
+      })
+      .catch((error) => {
+        recordServerTime(error.response);
+        throw error;
+      });
+
+    // A freshly refreshed token that still fails verification can't be fixed
+    // by refreshing again. Log it and treat the user as unauthenticated rather
+    // than failing outright. Tokens that could not be verified fail the refresh.
+    const acceptRefreshedToken = async (decodedJwtToken) => {
+      try {
+        await verifyJwtToken(tokenCookieName, decodedJwtToken, options);
+      } catch (error) {
+        if (error instanceof TokenRefreshError) {
+          throw error;
+        }
+        logFrontendAuthError(error, options.loggingService);
+        rejectedTokens[refreshKey] = getJwtCookieValue(tokenCookieName);
+        return null;
+      }
+      return decodedJwtToken;
+    };
+
     const makeRefreshRequest = async () => {
       let axiosResponse;
       try {
         try {
-          axiosResponse = await httpClient.post(refreshEndpoint);
+          axiosResponse = await withRetries(postRefreshRequest, retryPolicy);
         } catch (error) {
           processAxiosErrorAndThrow(error);
         }
@@ -53,9 +149,8 @@ const refresh = (tokenCookieName, refreshEndpoint) => {
           return decodedJwtToken;
         }
 
-        // TODO: Network timeouts and other problems will end up in
-        // this block of code. We could add logic for retrying token
-        // refreshes if we wanted to.
+        // Network timeouts and other problems that outlasted the retry
+        // policy end up here.
         throw error;
       }
 
@@ -66,34 +161,100 @@ const refresh = (tokenCookieName, refreshEndpoint) => {
         // set the cookie that is needed. See ARCH-948 for more
         // information on a similar situation that was happening
         // prior to this refactor in Oct 2019.
-        const error = new Error('Access token is still null after successful refresh.');
-        error.customAttributes = { axiosResponse };
-        throw error;
+        throw new TokenRefreshError('Access token is still null after successful refresh.', {
+          axiosResponse,
+          jwtCookieName: tokenCookieName,
+          jwtCookieError: 'missing',
+        });
       }
 
-      return decodedJwtToken;
+      return acceptRefreshedToken(decodedJwtToken);
+    };
+
+    // Tabs that waited on another tab's refresh re-read the cookie it received.
+    // If that tab failed or went away they refresh on their own.
+    const useOutcomeOfOtherTab = (outcome) => {
+      if (outcome === OUTCOMES.UNAUTHENTICATED) {
+        const decodedJwtToken = null;
+        return decodedJwtToken;
+      }
+      if (outcome === OUTCOMES.SUCCEEDED) {
+        const decodedJwtToken = decodeJwtCookie(tokenCookieName);
+        if (!isTokenExpired(decodedJwtToken, expiryLeewayInSeconds)) {
+          return acceptRefreshedToken(decodedJwtToken);
+        }
+      }
+      return makeRefreshRequest();
+    };
+
+    // Sampled refreshes report how long they took and how they ended.
+    const { metricsReporter } = options;
+    const isSampled = metricsReporter !== undefined && metricsReporter.shouldSample();
+    const refreshStartTime = Date.now();
+    const reportRefresh = (outcome) => {
+      if (isSampled) {
+        metricsReporter.report('tokenRefresh', Date.now() - refreshStartTime, { outcome });
+      }
     };
 
-    refreshRequestPromises[tokenCookieName] = makeRefreshRequest().finally(() => {
-      delete refreshRequestPromises[tokenCookieName];
-    });
+    const refreshRequest = options.coordinateAcrossTabs
+      ? coordinateAcrossTabs(tokenCookieName, makeRefreshRequest, useOutcomeOfOtherTab)
+      : makeRefreshRequest();
+
+    refreshRequestPromises[refreshKey] = refreshRequest
+      .then(
+        (decodedJwtToken) => {
+          reportRefresh(decodedJwtToken === null ? 'unauthenticated' : 'refreshed');
+          if (decodedJwtToken === null) {
+            publish(AUTH_EVENTS.USER_UNAUTHENTICATED, {}, options.loggingService);
+          } else {
+            publish(AUTH_EVENTS.TOKEN_REFRESHED, { decodedJwtToken }, options.loggingService);
+          }
+          return decodedJwtToken;
+        },
+        (error) => {
+          // Failed refreshes reject with a TokenRefreshError that keeps the
+          // message and customAttributes of what went wrong.
+          const refreshError = error instanceof TokenRefreshError
+            ? error
+            : new TokenRefreshError(error.message, error.customAttributes, error);
+          reportRefresh('failed');
+          publish(AUTH_EVENTS.REFRESH_FAILED, { error: refreshError }, options.loggingService);
+          throw refreshError;
+        },
+      )
+      .finally(() => {
+        delete refreshRequestPromises[refreshKey];
+      });
   }
 
-  return refreshRequestPromises[tokenCookieName];
+  return refreshRequestPromises[refreshKey];
 };
 
-const getJwtToken = async (tokenCookieName, tokenRefreshEndpoint) => {
+const getJwtToken = async (tokenCookieName, tokenRefreshEndpoint, options = {}) => {
   try {
     const decodedJwtToken = decodeJwtCookie(tokenCookieName);
-    if (!isTokenExpired(decodedJwtToken)) {
+    if (!isTokenExpired(decodedJwtToken, options.expiryLeewayInSeconds)) {
+      // Tokens that fail verification are refreshed like a missing one.
+      await verifyJwtToken(tokenCookieName, decodedJwtToken, options);
       return decodedJwtToken;
     }
   } catch (e) {
+    // A refresh would be verified the same way and fail again.
+    if (e instanceof TokenRefreshError) {
+      throw e;
+    }
+    // A token that a refresh returned and rejected already is neither logged
+    // nor refreshed again.
+    if (getJwtCookieValue(tokenCookieName) === rejectedTokens[getRefreshKey(tokenCookieName, tokenRefreshEndpoint)]) {
+      return null;
+    }
     // Log unexpected error and continue with attempt to refresh it.
-    logFrontendAuthError(e);
+    logFrontendAuthError(e, options.loggingService);
   }
 
-  return refresh(tokenCookieName, tokenRefreshEndpoint);
+  return refresh(tokenCookieName, tokenRefreshEndpoint, options);
 };
 
+export { decodeJwtCookie, getJwtCookieValue, refresh };
 export default getJwtToken;
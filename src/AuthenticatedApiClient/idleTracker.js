@@ -0,0 +1,139 @@
+// Tracks user activity and times the session out after a period of
+// inactivity. The time of the last activity is shared with the other tabs
+// through localStorage so that a user active in one tab is not timed out in
+// another. Without localStorage every tab tracks activity on its own.
+import { getLocalStorage } from './utils';
+
+const LAST_ACTIVITY_KEY = 'frontend-auth:last-activity';
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'];
+// Activity events fire in bursts. Sharing each of them with the other tabs
+// would flood localStorage, so activity is shared at most this often.
+const ACTIVITY_SHARE_INTERVAL_IN_MS = 1000;
+
+const createIdleTracker = (options) => {
+  const {
+    timeoutInSeconds,
+    warningInSeconds = 0,
+    onWarning = () => {},
+    onResume = () => {},
+    onTimeout,
+  } = options;
+  const timeoutInMs = timeoutInSeconds * 1000;
+  const warningAfterInMs = Math.max(timeoutInSeconds - warningInSeconds, 0) * 1000;
+
+  let isRunning = false;
+  let isWarning = false;
+  let timeoutId = null;
+  let storage = null;
+  let lastActivity = 0;
+  let lastSharedActivity = 0;
+
+  const readSharedActivity = () => {
+    const sharedActivity = storage === null ? 0 : Number(storage.getItem(LAST_ACTIVITY_KEY));
+    return Number.isFinite(sharedActivity) ? sharedActivity : 0;
+  };
+
+  const shareActivity = () => {
+    if (storage === null || lastActivity - lastSharedActivity < ACTIVITY_SHARE_INTERVAL_IN_MS) {
+      return;
+    }
+    lastSharedActivity = lastActivity;
+    try {
+      storage.setItem(LAST_ACTIVITY_KEY, String(lastActivity));
+    } catch (e) {
+      // The other tabs just won't see this activity.
+    }
+  };
+
+  const clearScheduledCheck = () => {
+    if (timeoutId !== null) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+  };
+
+  let handleActivity;
+  let handleStorageEvent;
+
+  const stop = () => {
+    isRunning = false;
+    isWarning = false;
+    clearScheduledCheck();
+    ACTIVITY_EVENTS.forEach((eventName) => {
+      global.document.removeEventListener(eventName, handleActivity, true);
+    });
+    global.removeEventListener('storage', handleStorageEvent);
+  };
+
+  const check = () => {
+    clearScheduledCheck();
+    // Another tab may have seen more recent activity.
+    lastActivity = Math.max(lastActivity, readSharedActivity());
+    const idleTimeInMs = Date.now() - lastActivity;
+
+    if (idleTimeInMs >= timeoutInMs) {
+      stop();
+      onTimeout();
+      return;
+    }
+
+    if (idleTimeInMs >= warningAfterInMs) {
+      if (!isWarning) {
+        isWarning = true;
+        onWarning({ secondsRemaining: Math.ceil((timeoutInMs - idleTimeInMs) / 1000) });
+      }
+      timeoutId = setTimeout(check, timeoutInMs - idleTimeInMs);
+      return;
+    }
+
+    if (isWarning) {
+      isWarning = false;
+      onResume();
+    }
+    timeoutId = setTimeout(check, warningAfterInMs - idleTimeInMs);
+  };
+
+  const recordActivity = () => {
+    if (!isRunning) {
+      return;
+    }
+    lastActivity = Date.now();
+    shareActivity();
+    // Otherwise the next scheduled check picks the activity up.
+    if (isWarning) {
+      check();
+    }
+  };
+
+  handleActivity = () => recordActivity();
+
+  handleStorageEvent = (event) => {
+    if (event.key === LAST_ACTIVITY_KEY && isWarning) {
+      check();
+    }
+  };
+
+  const start = () => {
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+    storage = getLocalStorage();
+    ACTIVITY_EVENTS.forEach((eventName) => {
+      global.document.addEventListener(eventName, handleActivity, true);
+    });
+    global.addEventListener('storage', handleStorageEvent);
+    // Loading the page counts as activity.
+    recordActivity();
+    check();
+  };
+
+  return {
+    start,
+    stop,
+    recordActivity,
+    isRunning: () => isRunning,
+  };
+};
+
+export default createIdleTracker;
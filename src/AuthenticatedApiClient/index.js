@@ -1,40 +1,19 @@
-import axios from 'axios';
+import { AUTH_EVENTS, subscribe } from './authEvents';
+import createAuthenticatedApiClient, { createAuth, validateConfig } from './createAuthenticatedApiClient';
+import { getCancelTokenFromAbortSignal } from './cancellation';
 import {
-  csrfTokenProviderInterceptor,
-  jwtTokenProviderInterceptor,
-  processAxiosRequestErrorInterceptor,
-} from './axiosInterceptors';
-import { logFrontendAuthError } from './utils';
-import getJwtToken from './getJwtToken';
+  HttpResponseError,
+  NetworkError,
+  RedirectLoopError,
+  RequestConfigError,
+  TokenRefreshError,
+} from './errors';
 
 let authenticatedApiClient = null;
 let config = null;
 
 function configure(incomingConfig) {
-  [
-    'appBaseUrl',
-    'loginUrl',
-    'logoutUrl',
-    'loggingService',
-    'refreshAccessTokenEndpoint',
-    'accessTokenCookieName',
-    'csrfTokenApiPath',
-  ].forEach((key) => {
-    if (incomingConfig[key] === undefined) {
-      throw new Error(`Invalid configuration supplied to frontend auth. ${key} is required.`);
-    }
-  });
-
-  // validate the logging service
-  [
-    'logInfo',
-    'logError',
-  ].forEach((key) => {
-    if (incomingConfig.loggingService[key] === undefined) {
-      throw new Error(`Invalid configuration supplied to frontend auth. loggingService.${key} must be a function.`);
-    }
-  });
-
+  validateConfig(incomingConfig);
   config = incomingConfig;
 }
 
@@ -42,29 +21,22 @@ function getConfig() {
   return config;
 }
 
+// The auth functions of the singleton config.
+const auth = createAuth(getConfig);
+
 /**
  * Redirect the user to login
  *
  * @param {string} redirectUrl the url to redirect to after login
  */
-const redirectToLogin = (redirectUrl = config.appBaseUrl) => {
-  global.location.assign(`${config.loginUrl}?next=${encodeURIComponent(redirectUrl)}`);
-};
+const redirectToLogin = redirectUrl => auth.redirectToLogin(redirectUrl);
 
 /**
  * Redirect the user to logout
  *
  * @param {string} redirectUrl the url to redirect to after logout
  */
-const redirectToLogout = (redirectUrl = config.appBaseUrl) => {
-  global.location.assign(`${config.logoutUrl}?redirect_url=${encodeURIComponent(redirectUrl)}`);
-};
-
-const handleUnexpectedAccessTokenRefreshError = (error) => {
-  // There were unexpected errors getting the access token.
-  logFrontendAuthError(error);
-  throw error;
-};
+const redirectToLogout = redirectUrl => auth.redirectToLogout(redirectUrl);
 
 /**
  * A configured axios client. See axios docs for more
@@ -83,6 +55,28 @@ const handleUnexpectedAccessTokenRefreshError = (error) => {
  *  // A csrf exempt endpoint
  *  apiClient.post('/path/to/endpoint', { data }, { isCsrfExempt: true });
  * ```
+ *
+ * Identical GET requests that are in flight at the same time share one request. Cancelling
+ * one of them only cancels the shared request once all of them are cancelled.
+ *
+ * ```
+ *  // A GET request that is always sent on its own
+ *  apiClient.get('/path/to/endpoint', { dedupe: false });
+ * ```
+ *
+ * Requests are cancelled with a cancel token, the signal of an AbortController, or by
+ * cancelling their cancel scope. Cancelled requests reject with an error whose
+ * customAttributes.httpErrorType is 'api-request-cancelled', and are not logged.
+ *
+ * ```
+ *  // Cancel the requests of a page when leaving it
+ *  apiClient.get('/path/to/endpoint', { cancelScope: 'account-page' });
+ *  apiClient.cancelRequests('account-page');
+ *
+ *  const abortController = new AbortController();
+ *  apiClient.get('/path/to/endpoint', { signal: abortController.signal });
+ *  abortController.abort();
+ * ```
  * 
  * @typedef HttpClient
  * @property {function} get
@@ -92,67 +86,140 @@ const handleUnexpectedAccessTokenRefreshError = (error) => {
  * @property {function} post (csrf protected)
  * @property {function} put (csrf protected)
  * @property {function} patch (csrf protected)
+ * @property {function} getAuthenticatedUser uses the config of the client
+ * @property {function} ensureAuthenticatedUser uses the config of the client
+ * @property {function} redirectToLogin uses the config of the client
+ * @property {function} redirectToLogout uses the config of the client
+ * @property {function} getRateLimitedOrigins the origins that rate limited api requests and
+ * are still in their rate limit window, mapped to the time in milliseconds at which it ends
+ * @property {function} clearResponseCache empties the cache of GET responses
+ * @property {function} cancelRequests cancels the requests in flight in a cancel scope. Takes
+ * the scope and an optional message.
+ * @property {function} destroy stops the idle tracker and token refresh scheduler of the client
  */
 
 /**
- * Gets the apiClient singleton which is an axios instance.
+ * Gets the apiClient singleton which is an axios instance. The config is only used by the
+ * first call; use createAuthenticatedApiClient for clients with other configs.
  * 
  * @param {object} config 
  * @param {string} [config.appBaseUrl]
  * @param {string} [config.authBaseUrl]
  * @param {string} [config.loginUrl]
  * @param {string} [config.logoutUrl]
- * @param {object} [config.loggingService] requires logError and logInfo methods
+ * @param {object} [config.loggingService] requires logError and logInfo methods. Metrics are
+ * reported to its logMetric(name, value, attributes) method when it has one.
+ * @param {boolean|object} [config.metrics] report how long api requests take, along with
+ * the time they wait on jwt and csrf tokens, and the duration and outcome of token
+ * refreshes. Takes sampleRate, the share of requests and refreshes that are measured
+ * (defaults to 1). Without a logMetric method metrics are logged with logInfo in batches
+ * of batchSize metrics (defaults to 20), at least every batchInterval seconds (defaults
+ * to 10) and when the page is hidden or unloaded. Metrics name the origin of requests and
+ * not their url, which may identify the user. Requests can name their route with the
+ * metricsRoute request option.
+ * @param {object} [config.logRedaction] how logged errors are redacted. Tokens, cookies and
+ * personal information such as email and name are always replaced with '[REDACTED]',
+ * wherever they appear in the custom attributes or the logged response data. Takes
+ * redactedKeys, more keys to redact, and maxDataLength, the number of characters logged
+ * strings are truncated to (defaults to 1000).
  * @param {string} [config.refreshAccessTokenEndpoint]
  * @param {string} [config.accessTokenCookieName]
+ * @param {string} [config.accessTokenHeaderPayloadCookieName] the cookie holding the header
+ * and payload of a split jwt cookie, whose signature is in a separate HttpOnly cookie. When
+ * set, the jwt access token is read from this cookie instead of config.accessTokenCookieName.
+ * Signature verification and the 'header' auth mode need the signature, and configuring
+ * either of them with a split jwt cookie throws an error.
  * @param {string} [config.csrfTokenApiPath]
+ * @param {string} [config.csrfTokenStrategy] where csrf tokens come from: 'api' fetches
+ * them from csrfTokenApiPath, 'cookie' reads them from the csrfTokenCookieName cookie and
+ * 'cookie-then-api' reads the cookie and falls back to the api. Defaults to 'api'.
+ * @param {string} [config.csrfTokenCookieName] the cookie csrf tokens are read from.
+ * Defaults to 'csrftoken'.
+ * @param {object} [config.csrfTokenHeaderNames] the header the csrf token is sent in, keyed
+ * by origin, e.g. { 'https://ecommerce.example.com': 'X-CSRF-Token' }. Origins that are not
+ * listed use X-CSRFToken.
+ * @param {number} [config.accessTokenExpiryLeeway] how many seconds before its expiry the
+ * jwt access token is already treated as expired. Defaults to 0.
+ * @param {object} [config.refreshAccessTokenRetryPolicy] how to retry failed access token
+ * refreshes. Takes maxAttempts (defaults to 1, no retries), baseDelay and maxDelay in
+ * milliseconds for the exponential backoff, and retryableStatuses. Network errors are
+ * always retryable while attempts remain.
+ * @param {boolean} [config.crossTabTokenRefresh] let a single browser tab refresh the jwt
+ * access token while other open tabs wait for it and reuse the refreshed cookie. Defaults
+ * to false.
+ * @param {object} [config.accessTokenClaimValidation] checks made on the claims of the jwt
+ * access token. Takes issuer and audience (a value or a list of accepted values),
+ * verifyNotBefore (honor the nbf claim, defaults to false) and requiredClaims (a list of
+ * claim names, e.g. ['user_id', 'preferred_username']). Tokens that fail a check are
+ * logged and refreshed; if the refreshed token fails too the user is treated as
+ * unauthenticated.
+ * @param {object} [config.accessTokenSignatureVerification] verify the signature of the jwt
+ * access token before trusting its claims. Takes jwks, a JWKS document, and/or jwksUrl, where
+ * a JWKS document is fetched from when a key is not found inline. Keys are cached by key id
+ * and algorithm and the JWKS is fetched again when a token names an unknown key id. Tokens
+ * with an invalid signature or an unknown key are handled like those failing
+ * config.accessTokenClaimValidation. When the signature can't be checked, e.g. because the
+ * JWKS can't be fetched, getting the token rejects with a TokenRefreshError instead.
+ * Requires the Web Crypto API.
+ * @param {string} [config.authMode] how requests are authenticated. 'cookie' (the default)
+ * relies on the jwt cookie. 'header' sends the jwt in an `Authorization: JWT <token>` header
+ * to the origins in config.authHeaderOrigins and relies on the jwt cookie everywhere else.
+ * @param {array} [config.authHeaderOrigins] origins, e.g. 'https://api.example.com', that
+ * receive the Authorization header in 'header' mode.
+ * @param {boolean} [config.proactiveTokenRefresh] refresh the jwt access token in the
+ * background before it expires instead of waiting for the next request. Refreshes are only
+ * scheduled for a jwt cookie that exists, so anonymous users are left alone. Defaults to
+ * false.
+ * @param {number} [config.proactiveTokenRefreshLeadTime] how many seconds before expiry
+ * the background refresh happens. Defaults to 60.
+ * @param {boolean|object} [config.retry] retry api requests that fail with a network error
+ * or a transient status. true uses the defaults; an object takes maxAttempts (defaults to 3),
+ * baseDelay and maxDelay in milliseconds for the exponential backoff (default to 300 and
+ * 5000), retryableStatuses (defaults to 502, 503 and 504) and methods (defaults to GET, HEAD
+ * and OPTIONS). A Retry-After response header replaces the backoff delay, and ends the retries
+ * when it is longer than maxDelay. Requests take a retry option of their own that overrides
+ * the policy of the client, or turns retries off with retry: false. When all attempts fail the
+ * error's customAttributes include httpErrorAttempts. Defaults to no retries.
+ * @param {number} [config.rateLimitMaxWait] how many seconds requests to an origin that
+ * rate limited us with a 429 response wait for the rate limit window, which the Retry-After
+ * header sets, to pass. Requests that would wait longer are rejected right away. Either way
+ * the errors have the httpErrorType 'api-rate-limit-error'. Defaults to 30.
+ * @param {boolean} [config.responseCache] cache GET responses that have an ETag or
+ * Last-Modified header in memory, per url and user. Cached responses are revalidated with
+ * If-None-Match and If-Modified-Since, and served from the cache when the server answers
+ * 304. Requests take a cache option that overrides this one. The cache is emptied when the
+ * user changes and on redirectToLogout. Defaults to false.
+ * @param {boolean|object} [config.snakeCaseRequestData] convert the keys of request data
+ * to snake_case, like snakeCaseObject. Takes true or a key map in the style of
+ * convertKeyNames, whose keys are renamed to their value instead. FormData, Blobs and
+ * strings are sent as they are. Requests take a snakeCaseRequestData option that overrides
+ * this one. Defaults to false.
+ * @param {boolean|object} [config.camelCaseResponseData] convert the keys of response data
+ * to camelCase, like camelCaseObject. Takes true or a key map like
+ * config.snakeCaseRequestData, and requests can override it the same way. Defaults to
+ * false.
+ * @param {function} [config.handleUnauthenticated] called when the server rejects a request
+ * with 401 and a forced token refresh shows that the user is logged out. Requests rejected with
+ * 401 are otherwise replayed once after the refresh. Defaults to redirecting to login with the
+ * current url.
+ * @param {array} [config.trustedOrigins] origins, e.g. 'https://api.example.com', that
+ * receive cookies, csrf tokens and jwt headers. Requests to other origins, except the origin
+ * of the page, are sent without them. When not set, every origin is trusted.
+ * @param {boolean} [config.strictTrustedOrigins] reject requests to origins that are not in
+ * trustedOrigins instead of sending them without credentials. Defaults to false.
+ * @param {object} [config.idleTimeout] log the user out after a period of inactivity, shared
+ * across tabs. Takes timeout, the seconds of inactivity before the user is redirected to
+ * logout, and warningTime, how many seconds before that onWarning({ secondsRemaining }) is
+ * called (defaults to 60, and must be less than timeout). onResume is called when the user
+ * becomes active again after a warning. After logout the user returns to redirectUrl, which
+ * defaults to the current page. Set countApiActivity to count authenticated api requests as
+ * activity.
  * @returns {HttpClient} Singleton. A configured axios http client
  */
 function getAuthenticatedApiClient(authConfig) {
   if (authenticatedApiClient === null) {
     configure(authConfig);
-    authenticatedApiClient = axios.create();
-    // Set withCredentials to true. Enables cross-site Access-Control requests
-    // to be made using cookies, authorization headers or TLS client
-    // certificates. More on MDN: 
-    // https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/withCredentials
-    authenticatedApiClient.defaults.withCredentials = true;
-
-    // Axios interceptors
-
-    // The JWT access token interceptor attempts to refresh the user's jwt token
-    // before any request unless the isPublic flag is set on the request config.
-    const refreshAccessTokenInterceptor = jwtTokenProviderInterceptor({
-      tokenCookieName: config.accessTokenCookieName,
-      tokenRefreshEndpoint: config.refreshAccessTokenEndpoint,
-      handleUnexpectedRefreshError: handleUnexpectedAccessTokenRefreshError,
-      shouldSkip: axiosRequestConfig => axiosRequestConfig.isPublic,
-    });
-    // The CSRF token intercepter fetches and caches a csrf token for any post,
-    // put, patch, or delete request. That token is then added to the request
-    // headers.
-    const attachCsrfTokenInterceptor = csrfTokenProviderInterceptor({
-      csrfTokenApiPath: config.csrfTokenApiPath,
-      shouldSkip: (axiosRequestConfig) => {
-        const { method, isCsrfExempt } = axiosRequestConfig;
-        const CSRF_PROTECTED_METHODS = ['post', 'put', 'patch', 'delete'];
-        return isCsrfExempt || !CSRF_PROTECTED_METHODS.includes(method);
-      },
-    });
-
-    // Request interceptors: Axios runs the interceptors in reverse order from
-    // how they are listed. After fetching csrf tokens no longer require jwt
-    // authentication, it won't matter which happens first. This change is
-    // coming soon in edx-platform. Nov. 2019
-    authenticatedApiClient.interceptors.request.use(attachCsrfTokenInterceptor);
-    authenticatedApiClient.interceptors.request.use(refreshAccessTokenInterceptor);
-
-    // Response interceptor: moves axios response error data into the error
-    // object at error.customAttributes
-    authenticatedApiClient.interceptors.response.use(
-      response => response,
-      processAxiosRequestErrorInterceptor,
-    );
+    authenticatedApiClient = auth.createHttpClient();
   }
 
   return authenticatedApiClient;
@@ -172,27 +239,7 @@ function getAuthenticatedApiClient(authConfig) {
  *
  * @returns {Promise<UserData>|Promise<null>} Resolves to the user's access token if they are logged in.
  */
-const getAuthenticatedUser = async () => {
-  let decodedAccessToken;
-
-  try {
-    decodedAccessToken = await getJwtToken(config.accessTokenCookieName, config.refreshAccessTokenEndpoint);
-  } catch (error) {
-    // There were unexpected errors getting the access token.
-    handleUnexpectedAccessTokenRefreshError(error);
-  }
-
-  if (decodedAccessToken !== null) {
-    return {
-      userId: decodedAccessToken.user_id,
-      username: decodedAccessToken.preferred_username,
-      roles: decodedAccessToken.roles || [],
-      administrator: decodedAccessToken.administrator,
-    };
-  }
-
-  return null;
-};
+const getAuthenticatedUser = () => auth.getAuthenticatedUser();
 
 /**
  * Ensures a user is authenticated. It will redirect to login when not 
@@ -201,32 +248,23 @@ const getAuthenticatedUser = async () => {
  * @param {string} route to return user after login when not authenticated.
  * @returns {Promise<UserData>}
  */
-const ensureAuthenticatedUser = async (route) => {
-  const authenticatedUserData = await getAuthenticatedUser();
-
-  if (authenticatedUserData === null) {
-    const isRedirectFromLoginPage = global.document.referrer &&
-      global.document.referrer.startsWith(config.loginUrl);
-
-    if (isRedirectFromLoginPage) {
-      const redirectLoopError = new Error('Redirect from login page. Rejecting to avoid infinite redirect loop.');
-      logFrontendAuthError(redirectLoopError);
-      throw redirectLoopError;
-    }
-
-    // The user is not authenticated, send them to the login page.
-    redirectToLogin(config.appBaseUrl + route);
-  }
-
-  return authenticatedUserData;
-};
+const ensureAuthenticatedUser = route => auth.ensureAuthenticatedUser(route);
 
 export {
+  AUTH_EVENTS,
   configure,
+  createAuthenticatedApiClient,
   getConfig,
   getAuthenticatedApiClient,
+  getCancelTokenFromAbortSignal,
   ensureAuthenticatedUser,
   getAuthenticatedUser,
+  HttpResponseError,
+  NetworkError,
+  RedirectLoopError,
   redirectToLogin,
   redirectToLogout,
+  RequestConfigError,
+  subscribe,
+  TokenRefreshError,
 };
@@ -0,0 +1,90 @@
+// Reports how long requests and token refreshes take in the browsers of real
+// users. Metrics go to loggingService.logMetric when the logging service has
+// one, and are otherwise collected into batches that are logged with logInfo.
+// A batch is logged once it is full, after the batch interval, or when the
+// page is hidden or unloaded before then.
+
+const DEFAULT_METRICS_OPTIONS = {
+  sampleRate: 1,
+  batchSize: 20,
+  batchInterval: 10,
+};
+
+const METRICS_BATCH_MESSAGE = '[frontend-auth] metrics';
+
+// getOptions returns the metrics config option, which is true or an object,
+// and is falsy while metrics are off. canLogMetrics tells whether the
+// loggingService can take metrics through logMetric.
+const createMetricsReporter = ({ getOptions, loggingService, canLogMetrics }) => {
+  let batch = [];
+  let timeoutId = null;
+  let isListeningForPageHide = false;
+
+  const getMetricsOptions = () => {
+    const options = getOptions();
+    return { ...DEFAULT_METRICS_OPTIONS, ...(typeof options === 'object' ? options : {}) };
+  };
+
+  const flush = () => {
+    if (timeoutId !== null) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+    if (batch.length === 0) {
+      return;
+    }
+    const metrics = batch;
+    batch = [];
+    // Each metric is redacted on its own, where a json string of the batch
+    // would be truncated as a whole.
+    loggingService.logInfo(METRICS_BATCH_MESSAGE, {
+      metricCount: metrics.length,
+      metrics,
+    });
+  };
+
+  // The batch timer may never fire once the page is hidden or unloaded.
+  const handleVisibilityChange = () => {
+    if (global.document.visibilityState === 'hidden') {
+      flush();
+    }
+  };
+
+  const listenForPageHide = () => {
+    if (isListeningForPageHide) {
+      return;
+    }
+    isListeningForPageHide = true;
+    global.document.addEventListener('visibilitychange', handleVisibilityChange);
+    global.addEventListener('pagehide', flush);
+  };
+
+  // Whether a request or refresh that starts now is measured. Everything
+  // measured for a request is reported together or not at all.
+  const shouldSample = () => Boolean(getOptions()) && Math.random() < getMetricsOptions().sampleRate;
+
+  const report = (name, value, attributes = {}) => {
+    if (canLogMetrics()) {
+      loggingService.logMetric(name, value, attributes);
+      return;
+    }
+    const { batchSize, batchInterval } = getMetricsOptions();
+    // Not under 'name', which redaction takes for a person's name.
+    batch.push({ metric: name, value, ...attributes });
+    if (batch.length >= batchSize) {
+      flush();
+    } else if (timeoutId === null) {
+      timeoutId = setTimeout(flush, batchInterval * 1000);
+      listenForPageHide();
+    }
+  };
+
+  return {
+    flush,
+    report,
+    shouldSample,
+  };
+};
+
+export default createMetricsReporter;
+export { METRICS_BATCH_MESSAGE };
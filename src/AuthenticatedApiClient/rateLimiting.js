@@ -0,0 +1,78 @@
+// Keeps track of the origins that rate limited us with a 429 response and
+// holds back further requests to them until the rate limit window has passed.
+// The windows are shared by all clients, since the server limits the user
+// rather than a client.
+import { getRetryAfterDelay, wait } from './retry';
+import { getUrlOrigin, RATE_LIMIT_ERROR_CODE } from './utils';
+
+// Used when a 429 response doesn't say how long to wait.
+const DEFAULT_RATE_LIMIT_WINDOW_IN_MS = 5000;
+
+const rateLimitedUntil = {};
+
+// Shaped like the errors axios rejects with for requests it never sent.
+const createRateLimitError = (axiosRequestConfig) => {
+  const error = new Error(`Request to a rate limited origin rejected: ${axiosRequestConfig.url}`);
+  return Object.assign(error, {
+    config: axiosRequestConfig,
+    code: RATE_LIMIT_ERROR_CODE,
+    isAxiosError: true,
+  });
+};
+
+// The origins that are rate limited right now, mapped to the time in
+// milliseconds at which their rate limit window ends.
+const getRateLimitedOrigins = () => {
+  const now = Date.now();
+  return Object.keys(rateLimitedUntil)
+    .filter(origin => rateLimitedUntil[origin] > now)
+    .reduce((rateLimitedOrigins, origin) => ({
+      ...rateLimitedOrigins,
+      [origin]: rateLimitedUntil[origin],
+    }), {});
+};
+
+const recordRateLimit = (origin, error) => {
+  const retryAfterDelay = getRetryAfterDelay(error);
+  const until = Date.now() + (retryAfterDelay === undefined ? DEFAULT_RATE_LIMIT_WINDOW_IN_MS : retryAfterDelay);
+  rateLimitedUntil[origin] = Math.max(rateLimitedUntil[origin] || 0, until);
+  return rateLimitedUntil[origin];
+};
+
+// Wraps an axios adapter so that requests to a rate limited origin wait for
+// the end of its rate limit window. Requests that would have to wait longer
+// than maxWaitInMs are rejected right away with an error whose code is
+// RATE_LIMIT_ERROR_CODE. onRateLimited is called with { origin,
+// rateLimitedUntil } when a 429 response starts or extends a window.
+const createRateLimitAdapter = (adapter, { maxWaitInMs, onRateLimited = () => {} }) => {
+  const waitForRateLimitWindow = async (origin, axiosRequestConfig) => {
+    const waitTimeInMs = (rateLimitedUntil[origin] || 0) - Date.now();
+    if (waitTimeInMs <= 0) {
+      return;
+    }
+    if (waitTimeInMs > maxWaitInMs) {
+      throw createRateLimitError(axiosRequestConfig);
+    }
+    await wait(waitTimeInMs, axiosRequestConfig.cancelToken);
+    // Another 429 may have extended the window in the meantime.
+    await waitForRateLimitWindow(origin, axiosRequestConfig);
+  };
+
+  return async (axiosRequestConfig) => {
+    const origin = getUrlOrigin(axiosRequestConfig.url, axiosRequestConfig.baseURL);
+    await waitForRateLimitWindow(origin, axiosRequestConfig);
+    try {
+      return await adapter(axiosRequestConfig);
+    } catch (error) {
+      if (error.response && error.response.status === 429) {
+        onRateLimited({ origin, rateLimitedUntil: recordRateLimit(origin, error) });
+      }
+      throw error;
+    }
+  };
+};
+
+export {
+  createRateLimitAdapter,
+  getRateLimitedOrigins,
+};
@@ -0,0 +1,164 @@
+// Removes tokens, cookies and personal information from what frontend-auth
+// logs, and truncates large response bodies, before anything reaches the
+// logging service.
+
+const REDACTED = '[REDACTED]';
+
+// Keys are matched regardless of case, dashes and underscores, so 'email'
+// also covers 'Email' and 'first_name' also covers 'firstName'.
+const DEFAULT_REDACTED_KEYS = [
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'token',
+  'jwt',
+  'csrf_token',
+  'csrfmiddlewaretoken',
+  'authorization',
+  'cookie',
+  'set_cookie',
+  'cookie_value',
+  'session_id',
+  'password',
+  'secret',
+  'client_secret',
+  'email',
+  'secondary_email',
+  'name',
+  'first_name',
+  'last_name',
+  'full_name',
+  'phone_number',
+  'mailing_address',
+  'date_of_birth',
+  'year_of_birth',
+];
+
+const DEFAULT_MAX_DATA_LENGTH = 1000;
+
+// Matches the header and payload of a jwt, and its signature when present.
+const jwtRegex = /eyJ[\w-]*\.eyJ[\w-]*(\.[\w-]+)?/g;
+
+const normalizeKey = key => key.toLowerCase().replace(/[-_]/g, '');
+
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+
+const createRedactor = (options = {}) => {
+  const {
+    redactedKeys = [],
+    maxDataLength = DEFAULT_MAX_DATA_LENGTH,
+  } = options;
+  const deniedKeys = new Set([...DEFAULT_REDACTED_KEYS, ...redactedKeys].map(normalizeKey));
+
+  const redactString = (value) => {
+    const redactedValue = value.replace(jwtRegex, REDACTED);
+    if (redactedValue.length <= maxDataLength) {
+      return redactedValue;
+    }
+    return `${redactedValue.slice(0, maxDataLength)}... (${redactedValue.length - maxDataLength} more characters)`;
+  };
+
+  const redactValue = (value) => {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(redactValue);
+    }
+    if (isPlainObject(value)) {
+      return Object.keys(value).reduce((redactedObject, key) => ({
+        ...redactedObject,
+        [key]: deniedKeys.has(normalizeKey(key)) ? REDACTED : redactValue(value[key]),
+      }), {});
+    }
+    return value;
+  };
+
+  // Response data is logged as a json string. It is parsed so that the
+  // denied keys inside it are redacted too.
+  const redactResponseData = (responseData) => {
+    let data;
+    try {
+      data = JSON.parse(responseData);
+    } catch (e) {
+      return redactString(responseData);
+    }
+    return redactString(JSON.stringify(redactValue(data)));
+  };
+
+  const redactCustomAttributes = (customAttributes) => {
+    if (!isPlainObject(customAttributes)) {
+      return customAttributes;
+    }
+    const { httpErrorResponseData } = customAttributes;
+    const redactedCustomAttributes = redactValue(customAttributes);
+    if (typeof httpErrorResponseData === 'string') {
+      redactedCustomAttributes.httpErrorResponseData = redactResponseData(httpErrorResponseData);
+    }
+    return redactedCustomAttributes;
+  };
+
+  // The message and stack of an http error repeat its response data, which is
+  // swapped for the redacted data.
+  const redactErrorText = (text, httpErrorResponseData) => {
+    if (typeof httpErrorResponseData === 'string' && httpErrorResponseData && text.includes(httpErrorResponseData)) {
+      return redactString(text.split(httpErrorResponseData).join(redactResponseData(httpErrorResponseData)));
+    }
+    return redactString(text);
+  };
+
+  // Logs a copy of the error that has no link to it, so that nothing of the
+  // original is reachable through the prototype. The copy is still an
+  // instance of the error's class. The error itself is left untouched for the
+  // code that catches it.
+  const redactError = (error) => {
+    // Errors made with Object.create(error), like the ones logged with a
+    // prefixed message, inherit the fields of the error they were made from.
+    // The first object on the prototype chain with a constructor of its own
+    // is the prototype of the error's class.
+    let errorPrototype = error;
+    let keys = [];
+    while (errorPrototype !== null && !Object.prototype.hasOwnProperty.call(errorPrototype, 'constructor')) {
+      keys = [...keys, ...Object.keys(errorPrototype)];
+      errorPrototype = Object.getPrototypeOf(errorPrototype);
+    }
+
+    const { customAttributes = {} } = error;
+    const { httpErrorResponseData } = customAttributes;
+    const redactedError = Object.create(errorPrototype);
+    // The request config, request and response of axios errors hold headers,
+    // tokens and response data and are left out, as are functions like toJSON.
+    [...new Set(keys)]
+      .filter(key => !['config', 'request', 'response', 'message', 'stack'].includes(key))
+      .filter(key => typeof error[key] !== 'function')
+      .forEach((key) => {
+        redactedError[key] = deniedKeys.has(normalizeKey(key)) ? REDACTED : redactValue(error[key]);
+      });
+    Object.defineProperties(redactedError, {
+      name: { value: error.name, writable: true, configurable: true },
+      message: { value: redactErrorText(error.message || '', httpErrorResponseData), writable: true, configurable: true },
+      stack: { value: redactErrorText(error.stack || '', httpErrorResponseData), writable: true, configurable: true },
+    });
+    redactedError.customAttributes = redactCustomAttributes(error.customAttributes);
+    if (error.cause instanceof Error) {
+      redactedError.cause = redactError(error.cause);
+    }
+    return redactedError;
+  };
+
+  // Redacts the arguments of logError and logInfo, which take an error or a
+  // message and the custom attributes to log with it.
+  const redactLogArguments = (errorOrMessage, customAttributes) => [
+    errorOrMessage instanceof Error ? redactError(errorOrMessage) : redactValue(errorOrMessage),
+    redactCustomAttributes(customAttributes),
+  ];
+
+  return {
+    redactCustomAttributes,
+    redactError,
+    redactLogArguments,
+  };
+};
+
+export default createRedactor;
+export { DEFAULT_REDACTED_KEYS, REDACTED };
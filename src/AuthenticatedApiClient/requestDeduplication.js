@@ -0,0 +1,131 @@
+// Shares one network request between identical GET requests that are in
+// flight at the same time, the way token refreshes and csrf token fetches are
+// shared. Each caller keeps its own cancel token: cancelling rejects only that
+// caller, and the shared request is only cancelled once every caller has
+// cancelled.
+import axios from 'axios';
+
+import { getRequestUrl } from './utils';
+
+// Functions in the config, like validateStatus, are told apart by identity.
+const functionIds = new WeakMap();
+let nextFunctionId = 0;
+
+const getFunctionId = (fn) => {
+  if (!functionIds.has(fn)) {
+    nextFunctionId += 1;
+    functionIds.set(fn, nextFunctionId);
+  }
+  return functionIds.get(fn);
+};
+
+const toKeyValue = (value) => {
+  if (typeof value === 'function') {
+    return `function ${getFunctionId(value)}`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toKeyValue);
+  }
+  return value;
+};
+
+// Requests are only shared when everything that shapes the response, or
+// whether it is an error, is the same.
+const getRequestKey = (axiosRequestConfig) => {
+  const {
+    headers,
+    responseType,
+    validateStatus,
+    transformResponse,
+    timeout,
+    auth,
+    withCredentials,
+  } = axiosRequestConfig;
+  return `${getRequestUrl(axiosRequestConfig)} ${JSON.stringify({
+    headers,
+    responseType,
+    validateStatus: toKeyValue(validateStatus),
+    transformResponse: toKeyValue(transformResponse),
+    timeout,
+    auth,
+    withCredentials,
+  })}`;
+};
+
+// Wraps an axios adapter so that GET requests shouldDedupe returns true for
+// share identical requests that are in flight.
+const createDedupeAdapter = (adapter, shouldDedupe) => {
+  const inFlightRequests = {};
+
+  const startSharedRequest = (requestKey, axiosRequestConfig) => {
+    const cancelTokenSource = axios.CancelToken.source();
+    let callerCount = 0;
+    const sharedRequest = {
+      addCaller: () => {
+        callerCount += 1;
+      },
+      removeCaller: (cancelMessage) => {
+        callerCount -= 1;
+        if (callerCount === 0) {
+          // Later identical requests start a new request instead of joining
+          // the cancelled one.
+          if (inFlightRequests[requestKey] === sharedRequest) {
+            delete inFlightRequests[requestKey];
+          }
+          cancelTokenSource.cancel(cancelMessage);
+        }
+      },
+    };
+    sharedRequest.promise = adapter({ ...axiosRequestConfig, cancelToken: cancelTokenSource.token })
+      .finally(() => {
+        if (inFlightRequests[requestKey] === sharedRequest) {
+          delete inFlightRequests[requestKey];
+        }
+      });
+    inFlightRequests[requestKey] = sharedRequest;
+    return sharedRequest;
+  };
+
+  // The response and error of the shared request are handed to each caller
+  // with the caller's own config.
+  const joinSharedRequest = (sharedRequest, axiosRequestConfig) => new Promise((resolve, reject) => {
+    const { cancelToken } = axiosRequestConfig;
+    let isSettled = false;
+    sharedRequest.addCaller();
+
+    sharedRequest.promise.then(
+      (response) => {
+        isSettled = true;
+        resolve({ ...response, config: axiosRequestConfig });
+      },
+      (error) => {
+        isSettled = true;
+        const callerError = Object.create(error);
+        callerError.config = axiosRequestConfig;
+        reject(callerError);
+      },
+    );
+
+    if (cancelToken) {
+      cancelToken.promise.then((cancel) => {
+        if (isSettled) {
+          return;
+        }
+        reject(cancel);
+        sharedRequest.removeCaller(cancel.message);
+      });
+    }
+  });
+
+  return (axiosRequestConfig) => {
+    if (axiosRequestConfig.method !== 'get' || !shouldDedupe(axiosRequestConfig)) {
+      return adapter(axiosRequestConfig);
+    }
+    const requestKey = getRequestKey(axiosRequestConfig);
+    const sharedRequest = inFlightRequests[requestKey] ||
+      startSharedRequest(requestKey, axiosRequestConfig);
+    return joinSharedRequest(sharedRequest, axiosRequestConfig);
+  };
+};
+
+export default createDedupeAdapter;
@@ -0,0 +1,74 @@
+// An in-memory cache of GET responses that carry an ETag or Last-Modified
+// header. Cached responses are revalidated with If-None-Match and
+// If-Modified-Since, and a 304 response is answered from the cache. Entries
+// are kept per user, and all of them are dropped when the user changes so
+// that one user's data is never served to another.
+import { getRequestUrl } from './utils';
+
+const createResponseCache = ({ getUserKey }) => {
+  let entries = {};
+  let cachedUserKey = null;
+
+  const clear = () => {
+    entries = {};
+  };
+
+  const getCacheKey = (axiosRequestConfig, userKey) => `${userKey} ${getRequestUrl(axiosRequestConfig)}`;
+
+  const getHeader = (response, headerName) => (response.headers || {})[headerName];
+
+  // Wraps an axios adapter so that GET requests shouldCache returns true for
+  // use the cache.
+  const createAdapter = (adapter, shouldCache) => async (axiosRequestConfig) => {
+    if (axiosRequestConfig.method !== 'get' || !shouldCache(axiosRequestConfig)) {
+      return adapter(axiosRequestConfig);
+    }
+
+    const userKey = getUserKey();
+    if (userKey !== cachedUserKey) {
+      clear();
+      cachedUserKey = userKey;
+    }
+
+    const cacheKey = getCacheKey(axiosRequestConfig, userKey);
+    const entry = entries[cacheKey];
+    const headers = { ...axiosRequestConfig.headers };
+    if (entry && entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    let response;
+    try {
+      response = await adapter({ ...axiosRequestConfig, headers });
+    } catch (error) {
+      // By default axios treats a 304 as an error.
+      if (!entry || !error.response || error.response.status !== 304) {
+        throw error;
+      }
+      ({ response } = error);
+    }
+
+    if (response.status === 304 && entry) {
+      return { ...entry.response, config: axiosRequestConfig, request: response.request };
+    }
+
+    const etag = getHeader(response, 'etag');
+    const lastModified = getHeader(response, 'last-modified');
+    if (etag || lastModified) {
+      entries[cacheKey] = { etag, lastModified, response };
+    } else {
+      delete entries[cacheKey];
+    }
+    return response;
+  };
+
+  return {
+    clear,
+    createAdapter,
+  };
+};
+
+export default createResponseCache;
@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { RATE_LIMIT_ERROR_CODE } from './utils';
+
+// Rejects with the cancellation as soon as cancelToken, when given, is
+// cancelled, so that cancelled requests don't sit out the wait.
+const wait = (delayInMs, cancelToken) => new Promise((resolve, reject) => {
+  const timeoutId = setTimeout(resolve, delayInMs);
+  if (cancelToken) {
+    cancelToken.promise.then((cancel) => {
+      clearTimeout(timeoutId);
+      reject(cancel);
+    });
+  }
+});
+
+// Exponential backoff with "full jitter": a random delay between zero and an
+// exponentially growing ceiling. The randomness keeps many clients that failed
+// at the same moment from retrying in lockstep.
+const getBackoffDelay = (attempt, { baseDelay, maxDelay }) =>
+  Math.random() * Math.min(maxDelay, baseDelay * (2 ** (attempt - 1)));
+
+// Requests that never got a response (network errors, timeouts) are worth
+// retrying, as are responses with one of the listed statuses. Cancelled
+// requests and requests held back by a rate limit are never retried.
+const isRetryableAxiosError = (error, { retryableStatuses }) => {
+  if (axios.isCancel(error) || error.code === RATE_LIMIT_ERROR_CODE) {
+    return false;
+  }
+  if (!error.response) {
+    return true;
+  }
+  return retryableStatuses.includes(error.response.status);
+};
+
+// The delay in milliseconds a Retry-After response header asks for. The
+// header holds either a number of seconds or an http date.
+const getRetryAfterDelay = (error) => {
+  const { headers = {} } = error.response || {};
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return undefined;
+  }
+  const retryAfterInSeconds = Number(retryAfter);
+  if (Number.isFinite(retryAfterInSeconds)) {
+    return Math.max(retryAfterInSeconds * 1000, 0);
+  }
+  const retryAfterDate = Date.parse(retryAfter);
+  return Number.isNaN(retryAfterDate) ? undefined : Math.max(retryAfterDate - Date.now(), 0);
+};
+
+// Calls makeAttempt until it resolves, the error is not retryable, or
+// retryPolicy.maxAttempts is reached. makeAttempt receives the attempt number.
+// A Retry-After header replaces the backoff delay; when it asks for a longer
+// wait than retryPolicy.maxDelay there are no further attempts. Cancelling
+// cancelToken ends the wait between attempts.
+const withRetries = (makeAttempt, retryPolicy, cancelToken, attempt = 1) =>
+  makeAttempt(attempt).catch((error) => {
+    if (attempt >= retryPolicy.maxAttempts || !isRetryableAxiosError(error, retryPolicy)) {
+      throw error;
+    }
+    const retryAfterDelay = getRetryAfterDelay(error);
+    if (retryAfterDelay > retryPolicy.maxDelay) {
+      throw error;
+    }
+    const delay = retryAfterDelay === undefined ? getBackoffDelay(attempt, retryPolicy) : retryAfterDelay;
+    return wait(delay, cancelToken)
+      .then(() => withRetries(makeAttempt, retryPolicy, cancelToken, attempt + 1));
+  });
+
+// Wraps an axios adapter so that requests are retried with the policy
+// getRetryPolicy returns for their config. Requests it returns null for, or
+// whose method the policy doesn't list, are sent once. Retrying in the adapter
+// sends the same request again without running the interceptors again.
+const createRetryAdapter = (adapter, getRetryPolicy) => (axiosRequestConfig) => {
+  const retryPolicy = getRetryPolicy(axiosRequestConfig);
+  if (!retryPolicy || !retryPolicy.methods.includes(axiosRequestConfig.method)) {
+    return adapter(axiosRequestConfig);
+  }
+
+  let attempts = 0;
+  const makeAttempt = (attempt) => {
+    attempts = attempt;
+    return adapter(axiosRequestConfig);
+  };
+
+  return withRetries(makeAttempt, retryPolicy, axiosRequestConfig.cancelToken).catch((error) => {
+    throw Object.assign(error, {
+      customAttributes: { ...error.customAttributes, httpErrorAttempts: attempts },
+    });
+  });
+};
+
+export {
+  createRetryAdapter,
+  getBackoffDelay,
+  getRetryAfterDelay,
+  isRetryableAxiosError,
+  wait,
+  withRetries,
+};
@@ -0,0 +1,149 @@
+/* eslint-disable arrow-body-style */
+import { coordinateAcrossTabs, OUTCOMES } from '../crossTabCoordination';
+
+const LOCK_KEY = 'frontend-auth:lock:access-token';
+const OUTCOME_KEY = 'frontend-auth:outcome:access-token';
+
+const holdLockInOtherTab = (expiresInMs = 10000) => {
+  global.localStorage.setItem(LOCK_KEY, JSON.stringify({
+    owner: 'other-tab',
+    expiresAt: Date.now() + expiresInMs,
+  }));
+};
+
+const announceOutcomeFromOtherTab = (outcome) => {
+  const event = new Event('storage');
+  event.key = OUTCOME_KEY;
+  event.newValue = JSON.stringify({ outcome, time: Date.now() });
+  global.dispatchEvent(event);
+};
+
+let refreshInThisTab;
+let useOutcomeOfOtherTab;
+
+beforeEach(() => {
+  global.localStorage.clear();
+  refreshInThisTab = jest.fn(() => Promise.resolve('refreshed token'));
+  useOutcomeOfOtherTab = jest.fn(outcome => outcome);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.BroadcastChannel;
+});
+
+describe('coordinateAcrossTabs', () => {
+  it('refreshes in this tab when no other tab holds the lock', () => {
+    return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab)
+      .then((result) => {
+        expect(result).toEqual('refreshed token');
+        expect(useOutcomeOfOtherTab).not.toHaveBeenCalled();
+        expect(global.localStorage.getItem(LOCK_KEY)).toBeNull();
+        expect(JSON.parse(global.localStorage.getItem(OUTCOME_KEY)).outcome).toEqual(OUTCOMES.SUCCEEDED);
+      });
+  });
+
+  it('announces an unauthenticated outcome when the refresh resolves to null', () => {
+    refreshInThisTab.mockImplementation(() => Promise.resolve(null));
+    return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab)
+      .then((result) => {
+        expect(result).toBeNull();
+        expect(JSON.parse(global.localStorage.getItem(OUTCOME_KEY)).outcome)
+          .toEqual(OUTCOMES.UNAUTHENTICATED);
+      });
+  });
+
+  it('announces a failed outcome and releases the lock when the refresh throws', () => {
+    refreshInThisTab.mockImplementation(() => Promise.reject(new Error('boom')));
+    expect.hasAssertions();
+    return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab)
+      .catch((error) => {
+        expect(error.message).toEqual('boom');
+        expect(global.localStorage.getItem(LOCK_KEY)).toBeNull();
+        expect(JSON.parse(global.localStorage.getItem(OUTCOME_KEY)).outcome).toEqual(OUTCOMES.FAILED);
+      });
+  });
+
+  it('waits for the tab holding the lock and uses its outcome', () => {
+    holdLockInOtherTab();
+    const coordinated = coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab);
+    announceOutcomeFromOtherTab(OUTCOMES.SUCCEEDED);
+
+    return coordinated.then((result) => {
+      expect(result).toEqual(OUTCOMES.SUCCEEDED);
+      expect(refreshInThisTab).not.toHaveBeenCalled();
+    });
+  });
+
+  it('ignores storage events for other keys', () => {
+    holdLockInOtherTab(100);
+    const coordinated = coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab);
+    const event = new Event('storage');
+    event.key = 'some-other-key';
+    global.dispatchEvent(event);
+
+    return coordinated.then((result) => {
+      expect(result).toEqual(OUTCOMES.TIMED_OUT);
+    });
+  });
+
+  it('stops waiting once the lock of the other tab expires', () => {
+    holdLockInOtherTab(20);
+    return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab)
+      .then((result) => {
+        expect(result).toEqual(OUTCOMES.TIMED_OUT);
+        expect(refreshInThisTab).not.toHaveBeenCalled();
+      });
+  });
+
+  it('takes over a lock that has expired', () => {
+    holdLockInOtherTab(-1);
+    return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab)
+      .then(() => {
+        expect(refreshInThisTab).toHaveBeenCalledTimes(1);
+      });
+  });
+
+  it('uses a BroadcastChannel when one is available', () => {
+    const channels = [];
+    global.BroadcastChannel = class {
+      constructor() {
+        channels.push(this);
+      }
+
+      postMessage(data) {
+        channels.filter(channel => channel !== this && channel.onmessage)
+          .forEach(channel => channel.onmessage({ data }));
+      }
+
+      close() {
+        channels.splice(channels.indexOf(this), 1);
+      }
+    };
+
+    holdLockInOtherTab();
+    const coordinated = coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab);
+    new global.BroadcastChannel().postMessage({ name: 'another-cookie', outcome: OUTCOMES.FAILED });
+    new global.BroadcastChannel().postMessage({ name: 'access-token', outcome: OUTCOMES.UNAUTHENTICATED });
+
+    return coordinated
+      .then((result) => {
+        expect(result).toEqual(OUTCOMES.UNAUTHENTICATED);
+        global.localStorage.clear();
+        return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab);
+      })
+      .then(() => {
+        expect(global.localStorage.getItem(OUTCOME_KEY)).toBeNull();
+      });
+  });
+
+  it('refreshes in this tab when localStorage is unavailable', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    return coordinateAcrossTabs('access-token', refreshInThisTab, useOutcomeOfOtherTab)
+      .then((result) => {
+        expect(result).toEqual('refreshed token');
+      });
+  });
+});
@@ -0,0 +1,147 @@
+import createIdleTracker from '../idleTracker';
+
+const LAST_ACTIVITY_KEY = 'frontend-auth:last-activity';
+
+let now;
+let tracker;
+let onWarning;
+let onResume;
+let onTimeout;
+
+const advanceTimeBy = (ms) => {
+  now += ms;
+  jest.advanceTimersByTime(ms);
+};
+
+const shareActivityFromOtherTab = () => {
+  global.localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+  const event = new Event('storage');
+  event.key = LAST_ACTIVITY_KEY;
+  global.dispatchEvent(event);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  now = 1000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  global.localStorage.clear();
+  onWarning = jest.fn();
+  onResume = jest.fn();
+  onTimeout = jest.fn();
+  tracker = createIdleTracker({
+    timeoutInSeconds: 600,
+    warningInSeconds: 60,
+    onWarning,
+    onResume,
+    onTimeout,
+  });
+});
+
+afterEach(() => {
+  tracker.stop();
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('idleTracker', () => {
+  it('warns before timing out an idle user', () => {
+    tracker.start();
+
+    advanceTimeBy(539 * 1000);
+    expect(onWarning).not.toHaveBeenCalled();
+
+    advanceTimeBy(1000);
+    expect(onWarning).toHaveBeenCalledWith({ secondsRemaining: 60 });
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    advanceTimeBy(60 * 1000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(tracker.isRunning()).toBe(false);
+  });
+
+  it('restarts the idle time on user activity', () => {
+    tracker.start();
+
+    advanceTimeBy(500 * 1000);
+    global.document.dispatchEvent(new Event('keydown'));
+    advanceTimeBy(500 * 1000);
+    expect(onWarning).not.toHaveBeenCalled();
+
+    advanceTimeBy(100 * 1000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  it('resumes when the user becomes active after a warning', () => {
+    tracker.start();
+
+    advanceTimeBy(550 * 1000);
+    expect(onWarning).toHaveBeenCalledTimes(1);
+
+    tracker.recordActivity();
+    expect(onResume).toHaveBeenCalledTimes(1);
+
+    advanceTimeBy(550 * 1000);
+    expect(onTimeout).not.toHaveBeenCalled();
+    expect(onWarning).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares activity with other tabs', () => {
+    tracker.start();
+    advanceTimeBy(5000);
+    tracker.recordActivity();
+    expect(global.localStorage.getItem(LAST_ACTIVITY_KEY)).toEqual(String(now));
+  });
+
+  it('shares bursts of activity with other tabs at most once a second', () => {
+    tracker.start();
+    const sharedActivity = global.localStorage.getItem(LAST_ACTIVITY_KEY);
+    advanceTimeBy(500);
+    tracker.recordActivity();
+    expect(global.localStorage.getItem(LAST_ACTIVITY_KEY)).toEqual(sharedActivity);
+  });
+
+  it('counts activity in other tabs', () => {
+    tracker.start();
+
+    advanceTimeBy(500 * 1000);
+    global.localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+    advanceTimeBy(100 * 1000);
+    expect(onWarning).not.toHaveBeenCalled();
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+
+  it('resumes when the user becomes active in another tab after a warning', () => {
+    tracker.start();
+
+    advanceTimeBy(550 * 1000);
+    shareActivityFromOtherTab();
+    expect(onResume).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores activity once stopped', () => {
+    tracker.start();
+    tracker.stop();
+
+    advanceTimeBy(600 * 1000);
+    global.document.dispatchEvent(new Event('mousemove'));
+    expect(onWarning).not.toHaveBeenCalled();
+    expect(onTimeout).not.toHaveBeenCalled();
+    expect(tracker.isRunning()).toBe(false);
+  });
+
+  it('tracks activity in this tab when localStorage is unavailable', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    tracker.start();
+
+    advanceTimeBy(500 * 1000);
+    tracker.recordActivity();
+    advanceTimeBy(500 * 1000);
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    advanceTimeBy(100 * 1000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,102 @@
+import createMetricsReporter, { METRICS_BATCH_MESSAGE } from '../metrics';
+
+let options;
+let loggingService;
+let reporter;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  options = { batchSize: 3, batchInterval: 10 };
+  loggingService = { logInfo: jest.fn(), logError: jest.fn() };
+  reporter = createMetricsReporter({
+    getOptions: () => options,
+    loggingService,
+    canLogMetrics: () => typeof loggingService.logMetric === 'function',
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+const getLoggedMetrics = call => call[1].metrics;
+
+describe('createMetricsReporter', () => {
+  it('reports metrics to logMetric when the logging service has one', () => {
+    loggingService.logMetric = jest.fn();
+    reporter.report('requestDuration', 120, { method: 'get' });
+    expect(loggingService.logMetric).toHaveBeenCalledWith('requestDuration', 120, { method: 'get' });
+    expect(loggingService.logInfo).not.toHaveBeenCalled();
+  });
+
+  it('logs a batch once it is full', () => {
+    reporter.report('requestDuration', 120, { method: 'get' });
+    reporter.report('jwtTokenWait', 5, { method: 'get' });
+    expect(loggingService.logInfo).not.toHaveBeenCalled();
+
+    reporter.report('tokenRefresh', 80, { outcome: 'refreshed' });
+    expect(loggingService.logInfo).toHaveBeenCalledTimes(1);
+    const [message, customAttributes] = loggingService.logInfo.mock.calls[0];
+    expect(message).toEqual(METRICS_BATCH_MESSAGE);
+    expect(customAttributes.metricCount).toBe(3);
+    expect(getLoggedMetrics(loggingService.logInfo.mock.calls[0])).toEqual([
+      { metric: 'requestDuration', value: 120, method: 'get' },
+      { metric: 'jwtTokenWait', value: 5, method: 'get' },
+      { metric: 'tokenRefresh', value: 80, outcome: 'refreshed' },
+    ]);
+  });
+
+  it('logs a batch after the batch interval', () => {
+    reporter.report('requestDuration', 120);
+    jest.advanceTimersByTime(9999);
+    expect(loggingService.logInfo).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(loggingService.logInfo).toHaveBeenCalledTimes(1);
+    expect(getLoggedMetrics(loggingService.logInfo.mock.calls[0]))
+      .toEqual([{ metric: 'requestDuration', value: 120 }]);
+  });
+
+  it('logs the batch when flushed', () => {
+    reporter.flush();
+    expect(loggingService.logInfo).not.toHaveBeenCalled();
+
+    reporter.report('requestDuration', 120);
+    reporter.flush();
+    jest.advanceTimersByTime(10000);
+    expect(loggingService.logInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs the batch when the page is unloaded', () => {
+    reporter.report('requestDuration', 120);
+    global.dispatchEvent(new Event('pagehide'));
+    expect(loggingService.logInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs the batch when the page is hidden', () => {
+    reporter.report('requestDuration', 120);
+    global.document.dispatchEvent(new Event('visibilitychange'));
+    expect(loggingService.logInfo).not.toHaveBeenCalled();
+
+    Object.defineProperty(global.document, 'visibilityState', { value: 'hidden', configurable: true });
+    global.document.dispatchEvent(new Event('visibilitychange'));
+    delete global.document.visibilityState;
+    expect(loggingService.logInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('samples at the configured rate', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    options = { sampleRate: 0.25 };
+    expect(reporter.shouldSample()).toBe(false);
+    options = { sampleRate: 0.75 };
+    expect(reporter.shouldSample()).toBe(true);
+    options = true;
+    expect(reporter.shouldSample()).toBe(true);
+  });
+
+  it('samples nothing while metrics are off', () => {
+    options = undefined;
+    expect(reporter.shouldSample()).toBe(false);
+  });
+});
@@ -0,0 +1,137 @@
+/* eslint-disable arrow-body-style */
+import axios from 'axios';
+import {
+  createRetryAdapter,
+  getRetryAfterDelay,
+  wait as realWait,
+  __RewireAPI__ as RetryRewireAPI, // eslint-disable-line no-underscore-dangle
+} from '../retry';
+import { RATE_LIMIT_ERROR_CODE } from '../utils';
+
+const retryPolicy = {
+  maxAttempts: 3,
+  baseDelay: 300,
+  maxDelay: 5000,
+  retryableStatuses: [503],
+  methods: ['get'],
+};
+
+const responseError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers },
+});
+
+let wait;
+
+beforeEach(() => {
+  wait = jest.fn(() => Promise.resolve());
+  RetryRewireAPI.__Rewire__('wait', wait); // eslint-disable-line no-underscore-dangle
+});
+
+afterEach(() => {
+  RetryRewireAPI.__ResetDependency__('wait'); // eslint-disable-line no-underscore-dangle
+  jest.restoreAllMocks();
+});
+
+describe('getRetryAfterDelay', () => {
+  it('reads a number of seconds', () => {
+    expect(getRetryAfterDelay(responseError(503, { 'retry-after': '2' }))).toBe(2000);
+  });
+
+  it('reads an http date', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+    expect(getRetryAfterDelay(responseError(503, { 'retry-after': 'Wed, 21 Oct 2015 07:28:30 GMT' })))
+      .toBe(30000);
+  });
+
+  it('ignores missing and unreadable headers', () => {
+    expect(getRetryAfterDelay(responseError(503))).toBeUndefined();
+    expect(getRetryAfterDelay(responseError(503, { 'retry-after': 'soon' }))).toBeUndefined();
+    expect(getRetryAfterDelay(new Error('Network Error'))).toBeUndefined();
+  });
+});
+
+describe('wait', () => {
+  it('stops waiting once the cancel token is cancelled', () => {
+    const cancelTokenSource = axios.CancelToken.source();
+    const waiting = realWait(60000, cancelTokenSource.token).catch(error => error);
+    cancelTokenSource.cancel('Navigated away.');
+    return waiting.then((cancel) => {
+      expect(axios.isCancel(cancel)).toBe(true);
+      expect(cancel.message).toEqual('Navigated away.');
+    });
+  });
+});
+
+describe('createRetryAdapter', () => {
+  it('retries until the request succeeds', () => {
+    const adapter = jest.fn()
+      .mockImplementationOnce(() => Promise.reject(responseError(503)))
+      .mockImplementationOnce(() => Promise.resolve({ status: 200 }));
+    return createRetryAdapter(adapter, () => retryPolicy)({ method: 'get' }).then((response) => {
+      expect(response.status).toBe(200);
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('records the attempts once all of them have failed', () => {
+    const adapter = jest.fn(() => Promise.reject(responseError(503)));
+    expect.hasAssertions();
+    return createRetryAdapter(adapter, () => retryPolicy)({ method: 'get' }).catch((error) => {
+      expect(adapter).toHaveBeenCalledTimes(3);
+      expect(error.customAttributes).toEqual({ httpErrorAttempts: 3 });
+    });
+  });
+
+  it('waits as long as the Retry-After header asks', () => {
+    const adapter = jest.fn()
+      .mockImplementationOnce(() => Promise.reject(responseError(503, { 'retry-after': '2' })))
+      .mockImplementationOnce(() => Promise.resolve({ status: 200 }));
+    return createRetryAdapter(adapter, () => retryPolicy)({ method: 'get' }).then(() => {
+      expect(wait).toHaveBeenCalledWith(2000, undefined);
+    });
+  });
+
+  it('hands the cancel token of the request to the wait between attempts', () => {
+    const { token } = axios.CancelToken.source();
+    const adapter = jest.fn()
+      .mockImplementationOnce(() => Promise.reject(responseError(503, { 'retry-after': '2' })))
+      .mockImplementationOnce(() => Promise.resolve({ status: 200 }));
+    return createRetryAdapter(adapter, () => retryPolicy)({ method: 'get', cancelToken: token }).then(() => {
+      expect(wait).toHaveBeenCalledWith(2000, token);
+    });
+  });
+
+  it('does not retry when the Retry-After header asks for more than the maximum delay', () => {
+    const adapter = jest.fn(() => Promise.reject(responseError(503, { 'retry-after': '60' })));
+    expect.hasAssertions();
+    return createRetryAdapter(adapter, () => retryPolicy)({ method: 'get' }).catch((error) => {
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(error.customAttributes).toEqual({ httpErrorAttempts: 1 });
+    });
+  });
+
+  it('does not retry requests held back by a rate limit', () => {
+    const rateLimitError = Object.assign(new Error('Request to a rate limited origin rejected'), {
+      code: RATE_LIMIT_ERROR_CODE,
+    });
+    const adapter = jest.fn(() => Promise.reject(rateLimitError));
+    expect.hasAssertions();
+    return createRetryAdapter(adapter, () => retryPolicy)({ method: 'get' }).catch((error) => {
+      expect(error.code).toEqual(RATE_LIMIT_ERROR_CODE);
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+  });
+
+  it('sends requests once when there is no retry policy or their method is not listed', () => {
+    const adapter = jest.fn(() => Promise.reject(responseError(503)));
+    expect.assertions(2);
+    return Promise.all([
+      createRetryAdapter(adapter, () => null)({ method: 'get' }).catch(() => {}),
+      createRetryAdapter(adapter, () => retryPolicy)({ method: 'post' }).catch(() => {}),
+    ]).then(() => {
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(wait).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import axios from 'axios';
+import Cookies from 'universal-cookie';
+import MockAdapter from 'axios-mock-adapter';
+import getJwtToken, { refresh } from '../getJwtToken';
+import createTokenRefreshScheduler from '../tokenRefreshScheduler';
+import { configure } from '../index';
+
+const mockLoggingService = {
+  logInfo: jest.fn(),
+  logError: jest.fn(),
+};
+
+configure({
+  appBaseUrl: process.env.BASE_URL,
+  accessTokenCookieName: process.env.ACCESS_TOKEN_COOKIE_NAME,
+  csrfTokenApiPath: '/get-csrf-token',
+  loginUrl: process.env.LOGIN_URL,
+  logoutUrl: process.env.LOGOUT_URL,
+  refreshAccessTokenEndpoint: process.env.REFRESH_ACCESS_TOKEN_ENDPOINT,
+  loggingService: mockLoggingService,
+});
+
+const realSetImmediate = setImmediate;
+const flushPromises = () => new Promise(resolve => realSetImmediate(resolve));
+
+const mockCookies = new Cookies();
+const accessTokenAxios = axios.create();
+const accessTokenAxiosMock = new MockAdapter(accessTokenAxios);
+getJwtToken.__Rewire__('httpClient', accessTokenAxios); // eslint-disable-line no-underscore-dangle
+
+const encodeToken = expiresInSeconds => `header.${btoa(JSON.stringify({
+  user_id: '12345',
+  preferred_username: 'test',
+  exp: (Date.now() / 1000) + expiresInSeconds,
+}))}`;
+
+const setJwtCookieTo = (jwtCookieValue) => {
+  mockCookies.get.mockImplementation((cookieName) => {
+    if (cookieName === process.env.ACCESS_TOKEN_COOKIE_NAME) {
+      return jwtCookieValue;
+    }
+    return undefined;
+  });
+};
+
+const setJwtTokenRefreshResponseTo = (status, jwtCookieValue) => {
+  accessTokenAxiosMock.onPost().reply(() => {
+    setJwtCookieTo(jwtCookieValue);
+    return [status];
+  });
+};
+
+const setVisibilityStateTo = (visibilityState) => {
+  jest.spyOn(global.document, 'visibilityState', 'get').mockReturnValue(visibilityState);
+  global.document.dispatchEvent(new Event('visibilitychange'));
+};
+
+let scheduler;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  accessTokenAxiosMock.reset();
+  mockCookies.get.mockReset();
+  mockLoggingService.logError.mockReset();
+  jest.spyOn(global.document, 'visibilityState', 'get').mockReturnValue('visible');
+  scheduler = createTokenRefreshScheduler({
+    tokenCookieName: process.env.ACCESS_TOKEN_COOKIE_NAME,
+    tokenRefreshEndpoint: process.env.REFRESH_ACCESS_TOKEN_ENDPOINT,
+    leadTimeInSeconds: 60,
+  });
+});
+
+afterEach(() => {
+  scheduler.stop();
+  jest.useRealTimers();
+});
+
+describe('tokenRefreshScheduler', () => {
+  it('refreshes the token ahead of its expiry', async () => {
+    setJwtCookieTo(encodeToken(120));
+    setJwtTokenRefreshResponseTo(200, encodeToken(3600));
+
+    await scheduler.start();
+    expect(accessTokenAxiosMock.history.post.length).toBe(0);
+
+    jest.advanceTimersByTime(55 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(0);
+
+    jest.advanceTimersByTime(10 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+    expect(scheduler.isRunning()).toBe(true);
+  });
+
+  it('refreshes shortly after start if the token has already expired', async () => {
+    setJwtCookieTo(encodeToken(-60));
+    setJwtTokenRefreshResponseTo(200, encodeToken(3600));
+
+    await scheduler.start();
+    expect(accessTokenAxiosMock.history.post.length).toBe(0);
+
+    jest.advanceTimersByTime(10 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+  });
+
+  it('does not refresh for users without a jwt cookie', async () => {
+    setJwtCookieTo(undefined);
+    setJwtTokenRefreshResponseTo(401, null);
+
+    await scheduler.start();
+    jest.advanceTimersByTime(3600 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(0);
+    expect(scheduler.isRunning()).toBe(true);
+  });
+
+  it('schedules from the token of a refresh made on demand', async () => {
+    setJwtCookieTo(undefined);
+    setJwtTokenRefreshResponseTo(200, encodeToken(120));
+
+    await scheduler.start();
+    await refresh(process.env.ACCESS_TOKEN_COOKIE_NAME, process.env.REFRESH_ACCESS_TOKEN_ENDPOINT);
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(2);
+  });
+
+  it('stops when the user is logged out', async () => {
+    setJwtCookieTo(encodeToken(120));
+    setJwtTokenRefreshResponseTo(401, null);
+
+    await scheduler.start();
+    jest.advanceTimersByTime(120 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+    expect(scheduler.isRunning()).toBe(false);
+
+    jest.advanceTimersByTime(3600 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+  });
+
+  it('stops when a refresh made on demand finds the user logged out', async () => {
+    setJwtCookieTo(encodeToken(120));
+    setJwtTokenRefreshResponseTo(401, null);
+
+    await scheduler.start();
+    await refresh(process.env.ACCESS_TOKEN_COOKIE_NAME, process.env.REFRESH_ACCESS_TOKEN_ENDPOINT);
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+    expect(scheduler.isRunning()).toBe(false);
+
+    jest.advanceTimersByTime(3600 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+  });
+
+  it('pauses while the page is hidden and resumes when it becomes visible', async () => {
+    setJwtCookieTo(encodeToken(120));
+    setJwtTokenRefreshResponseTo(200, encodeToken(3600));
+
+    await scheduler.start();
+    setVisibilityStateTo('hidden');
+    jest.advanceTimersByTime(120 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(0);
+
+    // The cookie has expired by the time the user returns to the tab.
+    setJwtCookieTo(encodeToken(-1));
+    setVisibilityStateTo('visible');
+    jest.advanceTimersByTime(10 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+  });
+
+  it('logs refresh errors and falls back to on demand refreshes', async () => {
+    setJwtCookieTo(encodeToken(120));
+    setJwtTokenRefreshResponseTo(500, null);
+
+    await scheduler.start();
+    jest.advanceTimersByTime(120 * 1000);
+    await flushPromises();
+    expect(mockLoggingService.logError).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(3600 * 1000);
+    await flushPromises();
+    expect(accessTokenAxiosMock.history.post.length).toBe(1);
+  });
+});
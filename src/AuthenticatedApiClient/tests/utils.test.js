@@ -0,0 +1,86 @@
+import { getUrlOrigin, processAxiosError } from '../utils';
+import { HttpResponseError, NetworkError, RequestConfigError } from '../errors';
+
+describe('getUrlOrigin', () => {
+  it('resolves the origin of absolute urls', () => {
+    expect(getUrlOrigin('https://api.example.org/api/v1/test?query=1#hash')).toEqual('https://api.example.org');
+    expect(getUrlOrigin('HTTPS://API.Example.org/api')).toEqual('https://api.example.org');
+  });
+
+  it('keeps ports other than the default port of the scheme', () => {
+    expect(getUrlOrigin('https://api.example.org:443/api')).toEqual('https://api.example.org');
+    expect(getUrlOrigin('https://api.example.org:8443/api')).toEqual('https://api.example.org:8443');
+    expect(getUrlOrigin('http://[::1]:8000/api')).toEqual('http://[::1]:8000');
+  });
+
+  it('resolves relative urls against the current page', () => {
+    expect(getUrlOrigin('/api/v1/test')).toEqual(global.location.origin);
+    expect(getUrlOrigin('api/v1/test')).toEqual(global.location.origin);
+    expect(getUrlOrigin('//api.example.org/api')).toEqual(`${global.location.protocol}//api.example.org`);
+  });
+
+  it('resolves relative urls against the axios baseURL', () => {
+    expect(getUrlOrigin('/api/v1/test', 'https://api.example.org:8443/')).toEqual('https://api.example.org:8443');
+    expect(getUrlOrigin(undefined, 'https://api.example.org')).toEqual('https://api.example.org');
+    expect(getUrlOrigin('https://other.example.org/api', 'https://api.example.org')).toEqual('https://other.example.org');
+  });
+
+  describe('without the URL API', () => {
+    const { URL } = global;
+
+    beforeEach(() => {
+      delete global.URL;
+    });
+
+    afterEach(() => {
+      global.URL = URL;
+    });
+
+    it('parses the origin of absolute urls', () => {
+      expect(getUrlOrigin('HTTPS://user@API.example.org:443/api')).toEqual('https://api.example.org');
+      expect(getUrlOrigin('http://[::1]:8000/api')).toEqual('http://[::1]:8000');
+      expect(getUrlOrigin('//api.example.org/api')).toEqual(`${global.location.protocol}//api.example.org`);
+      expect(getUrlOrigin('/api', 'https://api.example.org:8443')).toEqual('https://api.example.org:8443');
+    });
+
+    it('falls back to the current page for relative urls', () => {
+      expect(getUrlOrigin('/api/v1/test')).toEqual(global.location.origin);
+    });
+  });
+});
+
+describe('processAxiosError', () => {
+  const config = { url: 'https://api.example.org/api/v1/test', method: 'post' };
+
+  it('turns errors with a response into an HttpResponseError', () => {
+    const error = processAxiosError({ config, request: {}, response: { status: 409, data: { detail: 'Conflict' } } });
+    expect(error).toBeInstanceOf(HttpResponseError);
+    expect(error.status).toBe(409);
+    expect(error.data).toEqual({ detail: 'Conflict' });
+  });
+
+  it('turns errors without a response into a NetworkError', () => {
+    const error = processAxiosError({ config, request: {}, message: 'Network Error' });
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.message).toEqual(`HTTP Client Error: Network Error post ${config.url}`);
+    expect(error.customAttributes).toEqual({
+      httpErrorType: 'api-request-error',
+      httpErrorMessage: 'Network Error',
+      httpErrorRequestUrl: config.url,
+      httpErrorRequestMethod: 'post',
+    });
+  });
+
+  it('turns errors of requests that were not sent into a RequestConfigError', () => {
+    const error = processAxiosError({ config, message: 'Invalid header' });
+    expect(error).toBeInstanceOf(RequestConfigError);
+    expect(error.url).toEqual(config.url);
+    expect(error.method).toEqual('post');
+    expect(error.customAttributes.httpErrorType).toEqual('api-request-config-error');
+  });
+
+  it('keeps the customAttributes of the axios error', () => {
+    const error = processAxiosError({ config, request: {}, customAttributes: { httpErrorAttempts: 3 } });
+    expect(error.customAttributes.httpErrorAttempts).toBe(3);
+  });
+});
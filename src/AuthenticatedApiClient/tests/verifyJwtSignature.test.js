@@ -0,0 +1,267 @@
+/* eslint-disable arrow-body-style */
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import verifyJwtSignature from '../verifyJwtSignature';
+import { configure } from '../index';
+
+configure({
+  appBaseUrl: process.env.BASE_URL,
+  accessTokenCookieName: process.env.ACCESS_TOKEN_COOKIE_NAME,
+  csrfTokenApiPath: '/get-csrf-token',
+  loginUrl: process.env.LOGIN_URL,
+  logoutUrl: process.env.LOGOUT_URL,
+  refreshAccessTokenEndpoint: process.env.REFRESH_ACCESS_TOKEN_ENDPOINT,
+  loggingService: {
+    logInfo: jest.fn(),
+    logError: jest.fn(),
+  },
+});
+
+const jwksUrl = 'http://auth.example.com/oauth2/jwks';
+const jwksAxios = axios.create();
+const jwksAxiosMock = new MockAdapter(jwksAxios);
+verifyJwtSignature.__Rewire__('httpClient', jwksAxios); // eslint-disable-line no-underscore-dangle
+
+const base64Url = value => btoa(value).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const encodeToken = (header, signature = 'signature') => [
+  base64Url(JSON.stringify(header)),
+  base64Url(JSON.stringify({ user_id: '12345' })),
+  base64Url(signature),
+].join('.');
+const bytesToString = bytes => String.fromCharCode(...bytes);
+
+const jwks = {
+  keys: [
+    {
+      kty: 'RSA', kid: 'key-1', n: 'modulus-1', e: 'AQAB',
+    },
+    {
+      kty: 'EC', kid: 'key-2', crv: 'P-256', x: 'x', y: 'y',
+    },
+  ],
+};
+const rsaToken = encodeToken({ alg: 'RS512', kid: 'key-1' });
+
+const expectSignatureError = (promise, jwtSignatureError, customAttributes = {}) => {
+  expect.hasAssertions();
+  return promise.catch((error) => {
+    expect(error.message).toEqual(`JWT token failed signature verification: ${jwtSignatureError}.`);
+    expect(error.customAttributes).toEqual({ jwtSignatureError, ...customAttributes });
+  });
+};
+
+beforeEach(() => {
+  jwksAxiosMock.reset();
+  verifyJwtSignature.__Rewire__('verificationKeys', new WeakMap()); // eslint-disable-line no-underscore-dangle
+  verifyJwtSignature.__Rewire__('jwksRequests', {}); // eslint-disable-line no-underscore-dangle
+  global.crypto = {
+    subtle: {
+      importKey: jest.fn((format, jwk) => Promise.resolve(`crypto-key-for-${jwk.kid}`)),
+      verify: jest.fn(() => Promise.resolve(true)),
+    },
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.crypto;
+});
+
+describe('verifyJwtSignature', () => {
+  it('verifies the signature with a key from an inline JWKS', () => {
+    return verifyJwtSignature(rsaToken, { jwks }).then(() => {
+      const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' };
+      expect(global.crypto.subtle.importKey)
+        .toHaveBeenCalledWith('jwk', jwks.keys[0], algorithm, false, ['verify']);
+
+      const [verifyAlgorithm, key, signature, data] = global.crypto.subtle.verify.mock.calls[0];
+      expect(verifyAlgorithm).toEqual(algorithm);
+      expect(key).toEqual('crypto-key-for-key-1');
+      expect(bytesToString(signature)).toEqual('signature');
+      expect(bytesToString(data)).toEqual(rsaToken.split('.').slice(0, 2).join('.'));
+    });
+  });
+
+  it('uses the curve of ECDSA algorithms', () => {
+    return verifyJwtSignature(encodeToken({ alg: 'ES256', kid: 'key-2' }), { jwks }).then(() => {
+      expect(global.crypto.subtle.importKey.mock.calls[0][2])
+        .toEqual({ name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' });
+    });
+  });
+
+  it('throws when the signature does not match', () => {
+    global.crypto.subtle.verify.mockImplementation(() => Promise.resolve(false));
+    return expectSignatureError(
+      verifyJwtSignature(rsaToken, { jwks }),
+      'invalid-signature',
+      { jwtKeyId: 'key-1', jwtAlgorithm: 'RS512' },
+    );
+  });
+
+  it('caches keys by key id', () => {
+    const signatureVerification = { jwks };
+    return verifyJwtSignature(rsaToken, signatureVerification)
+      .then(() => verifyJwtSignature(rsaToken, signatureVerification))
+      .then(() => {
+        expect(global.crypto.subtle.importKey).toHaveBeenCalledTimes(1);
+        expect(global.crypto.subtle.verify).toHaveBeenCalledTimes(2);
+      });
+  });
+
+  it('caches keys by config and algorithm', () => {
+    const otherJwks = { keys: [{ ...jwks.keys[0], n: 'other-modulus' }] };
+    const rs256Token = encodeToken({ alg: 'RS256', kid: 'key-1' });
+    const signatureVerification = { jwks };
+    return verifyJwtSignature(rsaToken, signatureVerification)
+      .then(() => verifyJwtSignature(rsaToken, { jwks: otherJwks }))
+      .then(() => verifyJwtSignature(rs256Token, signatureVerification))
+      .then(() => {
+        const importedKeys = global.crypto.subtle.importKey.mock.calls.map(([, jwk, algorithm]) =>
+          [jwk.n, algorithm.hash]);
+        expect(importedKeys).toEqual([
+          ['modulus-1', 'SHA-512'],
+          ['other-modulus', 'SHA-512'],
+          ['modulus-1', 'SHA-256'],
+        ]);
+      });
+  });
+
+  it('throws for keys that do not fit the algorithm of the token', () => {
+    const rsaKey = jwks.keys[0];
+    return Promise.all([
+      expectSignatureError(
+        verifyJwtSignature(rsaToken, { jwks: { keys: [{ ...rsaKey, alg: 'RS256' }] } }),
+        'unknown-kid',
+        { jwtKeyId: 'key-1', jwtAlgorithm: 'RS512' },
+      ),
+      expectSignatureError(
+        verifyJwtSignature(encodeToken({ alg: 'ES256', kid: 'key-1' }), { jwks }),
+        'unknown-kid',
+        { jwtKeyId: 'key-1', jwtAlgorithm: 'ES256' },
+      ),
+      expectSignatureError(
+        verifyJwtSignature(encodeToken({ alg: 'ES384', kid: 'key-2' }), { jwks }),
+        'unknown-kid',
+        { jwtKeyId: 'key-2', jwtAlgorithm: 'ES384' },
+      ),
+    ]);
+  });
+
+  it('does not cache keys that failed to import', () => {
+    global.crypto.subtle.importKey.mockImplementationOnce(() => Promise.reject(new Error('bad key')));
+    expect.hasAssertions();
+    return verifyJwtSignature(rsaToken, { jwks })
+      .catch((error) => {
+        expect(error.message).toEqual('bad key');
+        return verifyJwtSignature(rsaToken, { jwks });
+      })
+      .then(() => {
+        expect(global.crypto.subtle.importKey).toHaveBeenCalledTimes(2);
+      });
+  });
+
+  it('matches tokens without a key id to a JWKS with a single key', () => {
+    return verifyJwtSignature(encodeToken({ alg: 'RS256' }), { jwks: { keys: [jwks.keys[0]] } }).then(() => {
+      expect(global.crypto.subtle.importKey.mock.calls[0][1]).toEqual(jwks.keys[0]);
+    });
+  });
+
+  it('throws for tokens without a key id and a JWKS with several keys', () => {
+    return expectSignatureError(
+      verifyJwtSignature(encodeToken({ alg: 'RS256' }), { jwks }),
+      'unknown-kid',
+      { jwtAlgorithm: 'RS256' },
+    );
+  });
+
+  it('fetches the JWKS from a url once', () => {
+    jwksAxiosMock.onGet(jwksUrl).reply(200, jwks);
+    return Promise.all([
+      verifyJwtSignature(rsaToken, { jwksUrl }),
+      verifyJwtSignature(encodeToken({ alg: 'ES256', kid: 'key-2' }), { jwksUrl }),
+    ]).then(() => {
+      expect(jwksAxiosMock.history.get.length).toBe(1);
+    });
+  });
+
+  it('prefers keys from the inline JWKS over fetching the JWKS url', () => {
+    return verifyJwtSignature(rsaToken, { jwks, jwksUrl }).then(() => {
+      expect(jwksAxiosMock.history.get.length).toBe(0);
+    });
+  });
+
+  it('fetches the JWKS again when a token names an unknown key id', () => {
+    const rotatedKey = {
+      kty: 'RSA', kid: 'key-3', n: 'modulus-3', e: 'AQAB',
+    };
+    jwksAxiosMock.onGet(jwksUrl).replyOnce(200, jwks);
+    jwksAxiosMock.onGet(jwksUrl).replyOnce(200, { keys: [rotatedKey] });
+
+    return verifyJwtSignature(rsaToken, { jwksUrl })
+      .then(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(new Date().getTime() + (61 * 1000));
+        return verifyJwtSignature(encodeToken({ alg: 'RS256', kid: 'key-3' }), { jwksUrl });
+      })
+      .then(() => {
+        expect(jwksAxiosMock.history.get.length).toBe(2);
+        expect(global.crypto.subtle.importKey.mock.calls[1][1]).toEqual(rotatedKey);
+      });
+  });
+
+  it('does not fetch the JWKS again more than once a minute', () => {
+    jwksAxiosMock.onGet(jwksUrl).reply(200, jwks);
+    return expectSignatureError(
+      verifyJwtSignature(encodeToken({ alg: 'RS256', kid: 'key-3' }), { jwksUrl }),
+      'unknown-kid',
+      { jwtKeyId: 'key-3', jwtAlgorithm: 'RS256' },
+    ).then(() => {
+      expect(jwksAxiosMock.history.get.length).toBe(1);
+    });
+  });
+
+  it('fetches the JWKS again after a failed fetch', () => {
+    jwksAxiosMock.onGet(jwksUrl).replyOnce(500);
+    jwksAxiosMock.onGet(jwksUrl).replyOnce(200, jwks);
+    expect.hasAssertions();
+    return verifyJwtSignature(rsaToken, { jwksUrl })
+      .catch((error) => {
+        expect(error.customAttributes.httpErrorStatus).toBe(500);
+        return verifyJwtSignature(rsaToken, { jwksUrl });
+      })
+      .then(() => {
+        expect(jwksAxiosMock.history.get.length).toBe(2);
+      });
+  });
+
+  it('throws for a key id missing from the inline JWKS', () => {
+    return expectSignatureError(
+      verifyJwtSignature(encodeToken({ alg: 'RS256', kid: 'key-3' }), { jwks }),
+      'unknown-kid',
+      { jwtKeyId: 'key-3', jwtAlgorithm: 'RS256' },
+    );
+  });
+
+  it('throws for a token without a signature', () => {
+    return expectSignatureError(
+      verifyJwtSignature(rsaToken.split('.').slice(0, 2).join('.'), { jwks }),
+      'missing-signature',
+    );
+  });
+
+  it('throws for a token with a malformed header', () => {
+    return expectSignatureError(verifyJwtSignature('header.payload.signature', { jwks }), 'malformed-header');
+  });
+
+  it('throws for unsupported algorithms', () => {
+    return expectSignatureError(
+      verifyJwtSignature(encodeToken({ alg: 'HS256', kid: 'key-1' }), { jwks }),
+      'unsupported-algorithm',
+      { jwtAlgorithm: 'HS256' },
+    );
+  });
+
+  it('throws when the Web Crypto API is unavailable', () => {
+    delete global.crypto;
+    return expectSignatureError(verifyJwtSignature(rsaToken, { jwks }), 'web-crypto-unavailable');
+  });
+});
@@ -0,0 +1,124 @@
+import { decodeJwtCookie, refresh } from './getJwtToken';
+import { logFrontendAuthError } from './utils';
+import { getServerNowInSeconds } from './clockSkew';
+import { AUTH_EVENTS, subscribe } from './authEvents';
+
+// Never schedule refreshes closer together than this. Protects against a
+// refresh loop when the token lifetime is shorter than the lead time.
+const MIN_REFRESH_DELAY_IN_MS = 10 * 1000;
+
+const createTokenRefreshScheduler = (options) => {
+  const {
+    tokenCookieName,
+    tokenRefreshEndpoint,
+    leadTimeInSeconds,
+    jwtTokenOptions = {},
+  } = options;
+  const { expiryLeewayInSeconds = 0 } = jwtTokenOptions;
+
+  let isRunning = false;
+  let timeoutId = null;
+  let unsubscribe = () => {};
+
+  const isPageHidden = () => global.document.visibilityState === 'hidden';
+
+  const clearScheduledRefresh = () => {
+    if (timeoutId !== null) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+  };
+
+  let handleVisibilityChange;
+
+  const stop = () => {
+    isRunning = false;
+    clearScheduledRefresh();
+    unsubscribe();
+    global.document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+
+  const handleRefreshError = (error) => {
+    // Requests will still refresh the token on demand, so log the error and
+    // wait for the next visibility change before scheduling again.
+    logFrontendAuthError(error, jwtTokenOptions.loggingService);
+    clearScheduledRefresh();
+  };
+
+  let refreshAndReschedule;
+
+  const scheduleRefresh = (decodedJwtToken) => {
+    clearScheduledRefresh();
+    if (!isRunning || isPageHidden()) {
+      return;
+    }
+
+    // A null token means the user is logged out.
+    if (decodedJwtToken === null) {
+      stop();
+      return;
+    }
+
+    const secondsUntilExpiry = decodedJwtToken.exp - expiryLeewayInSeconds - getServerNowInSeconds();
+    const msUntilRefresh = (secondsUntilExpiry - leadTimeInSeconds) * 1000;
+    timeoutId = setTimeout(refreshAndReschedule, Math.max(msUntilRefresh, MIN_REFRESH_DELAY_IN_MS));
+  };
+
+  refreshAndReschedule = () => {
+    timeoutId = null;
+    return refresh(tokenCookieName, tokenRefreshEndpoint, jwtTokenOptions)
+      .then(scheduleRefresh)
+      .catch(handleRefreshError);
+  };
+
+  // Schedules the refresh of the token in the cookie without refreshing it
+  // right away, which leaves anonymous users alone. Without a token there is
+  // nothing to schedule until a refresh sets the cookie.
+  const syncWithCurrentToken = () => {
+    let decodedJwtToken;
+    try {
+      decodedJwtToken = decodeJwtCookie(tokenCookieName);
+    } catch (error) {
+      handleRefreshError(error);
+      return;
+    }
+    if (decodedJwtToken !== null) {
+      scheduleRefresh(decodedJwtToken);
+    }
+  };
+
+  handleVisibilityChange = () => {
+    if (isPageHidden()) {
+      clearScheduledRefresh();
+    } else {
+      syncWithCurrentToken();
+    }
+  };
+
+  const start = () => {
+    if (isRunning) {
+      return Promise.resolve();
+    }
+    isRunning = true;
+    global.document.addEventListener('visibilitychange', handleVisibilityChange);
+    // Refreshes made on demand by requests set a new cookie to schedule from,
+    // or find that the user is logged out.
+    const unsubscribers = [
+      subscribe(AUTH_EVENTS.TOKEN_REFRESHED, syncWithCurrentToken),
+      subscribe(AUTH_EVENTS.USER_UNAUTHENTICATED, stop),
+    ];
+    unsubscribe = () => unsubscribers.forEach(unsubscribeFromEvent => unsubscribeFromEvent());
+    if (!isPageHidden()) {
+      syncWithCurrentToken();
+    }
+    return Promise.resolve();
+  };
+
+  return {
+    start,
+    stop,
+    isRunning: () => isRunning,
+  };
+};
+
+export default createTokenRefreshScheduler;
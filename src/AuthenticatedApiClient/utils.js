@@ -1,45 +1,106 @@
+import axios from 'axios';
 import { getConfig } from './index';
+import { HttpResponseError, NetworkError, RequestConfigError } from './errors';
 
-// Lifted from here: https://regexr.com/3ok5o
-const urlRegex = /([a-z]{1,2}tps?):\/\/((?:(?!(?:\/|#|\?|&)).)+)(?:(\/(?:(?:(?:(?!(?:#|\?|&)).)+\/))?))?(?:((?:(?!(?:\.|$|\?|#)).)+))?(?:(\.(?:(?!(?:\?|$|#)).)+))?(?:(\?(?:(?!(?:$|#)).)+))?(?:(#.+))?/;
-const getUrlParts = (url) => {
-  const found = url.match(urlRegex);
+// The same test axios uses to decide whether to prepend its baseURL.
+const absoluteUrlRegex = /^([a-z][a-z\d+\-.]*:)?\/\//i;
+const urlOriginRegex = /^([a-z][a-z\d+\-.]*:)\/\/(?:[^@/?#]*@)?(\[[^\]]*\]|[^:/?#]*)(?::(\d*))?/i;
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// Mirrors how axios combines a baseURL with the url of a request.
+const combineWithBaseUrl = (url = '', baseURL) => {
+  if (!baseURL || absoluteUrlRegex.test(url)) {
+    return url;
+  }
+  return url ? `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}` : baseURL;
+};
+
+// Used where the WHATWG URL API is unavailable. Relative urls belong to the
+// origin of the current page.
+const parseUrlOrigin = (url) => {
+  const absoluteUrl = url.startsWith('//') ? `${global.location.protocol}${url}` : url;
+  const found = absoluteUrl.match(urlOriginRegex);
+  if (!found) {
+    return global.location.origin;
+  }
+  const [, protocol, hostname, port] = found;
+  const normalizedProtocol = protocol.toLowerCase();
+  const portSuffix = port && port !== DEFAULT_PORTS[normalizedProtocol] ? `:${port}` : '';
+  return `${normalizedProtocol}//${hostname.toLowerCase()}${portSuffix}`;
+};
+
+// Resolves the origin (scheme, host and port) a request to the url goes to,
+// taking the axios baseURL and the location of the current page into account.
+const getUrlOrigin = (url, baseURL) => {
+  const fullUrl = combineWithBaseUrl(url, baseURL);
+  if (typeof global.URL !== 'function') {
+    return parseUrlOrigin(fullUrl);
+  }
   try {
-    const [
-      fullUrl,
-      protocol,
-      domain,
-      path,
-      endFilename,
-      endFileExtension,
-      query,
-      hash,
-    ] = found;
+    return new global.URL(fullUrl, global.location.href).origin;
+  } catch (e) {
+    return global.location.origin;
+  }
+};
 
-    return {
-      fullUrl,
-      protocol,
-      domain,
-      path,
-      endFilename,
-      endFileExtension,
-      query,
-      hash,
-    };
+// The full url of a request, with its baseURL and params, as axios sends it.
+const getRequestUrl = ({
+  url,
+  baseURL,
+  params,
+  paramsSerializer,
+}) => axios.getUri({ url: combineWithBaseUrl(url, baseURL), params, paramsSerializer });
+
+// Returns null when localStorage is missing or unusable.
+const getLocalStorage = () => {
+  try {
+    const { localStorage } = global;
+    // Some browsers expose localStorage but throw on writes in private mode.
+    const testKey = 'frontend-auth:test';
+    localStorage.setItem(testKey, testKey);
+    localStorage.removeItem(testKey);
+    return localStorage;
   } catch (e) {
-    throw new Error(`Could not find url parts from ${url}.`);
+    return null;
   }
 };
 
-const logFrontendAuthError = (error) => {
+// Clients made with createAuthenticatedApiClient pass their own logging
+// service. Everything else logs to the one of the singleton config.
+// Cancelled requests are expected and never logged.
+const logFrontendAuthError = (error, loggingService = getConfig().loggingService) => {
+  if (axios.isCancel(error)) {
+    return;
+  }
   const prefixedMessageError = Object.create(error);
   prefixedMessageError.message = `[frontend-auth] ${error.message}`;
-  getConfig().loggingService.logError(prefixedMessageError, prefixedMessageError.customAttributes);
+  loggingService.logError(prefixedMessageError, prefixedMessageError.customAttributes);
 };
 
+// The code of errors for requests that were held back because their origin
+// rate limited us.
+const RATE_LIMIT_ERROR_CODE = 'ERR_RATE_LIMITED';
+
+// Turns an axios error into an HttpResponseError, NetworkError or
+// RequestConfigError whose customAttributes describe the failed request.
 const processAxiosError = (axiosErrorObject) => {
-  const error = Object.create(axiosErrorObject);
-  const { request, response, config } = error;
+  // Cancelling a request rejects it with an axios Cancel, which only has a
+  // message.
+  if (axios.isCancel(axiosErrorObject)) {
+    const error = Object.create(axiosErrorObject);
+    error.customAttributes = {
+      ...error.customAttributes,
+      httpErrorType: 'api-request-cancelled',
+      httpErrorMessage: axiosErrorObject.message,
+    };
+    return error;
+  }
+  const {
+    request,
+    response,
+    config,
+    message,
+  } = axiosErrorObject;
 
   const {
     url: httpErrorRequestUrl,
@@ -53,36 +114,42 @@ const processAxiosError = (axiosErrorObject) => {
     // Don't include data if it is just an HTML document, like a 500 error page.
     /* istanbul ignore next */
     const httpErrorResponseData = responseIsHTML ? '<Response is HTML>' : stringifiedData;
-    error.customAttributes = {
-      ...error.customAttributes,
-      httpErrorType: 'api-response-error',
-      httpErrorStatus: status,
-      httpErrorResponseData,
-      httpErrorRequestUrl,
-      httpErrorRequestMethod,
-    };
-    error.message = `HTTP Client Error: ${status} ${httpErrorRequestUrl} ${httpErrorResponseData}`;
-  } else if (request) {
-    error.customAttributes = {
-      ...error.customAttributes,
-      httpErrorType: 'api-request-error',
-      httpErrorMessage: error.message,
-      httpErrorRequestUrl,
-      httpErrorRequestMethod,
-    };
-    error.message = `HTTP Client Error: ${error.message} ${httpErrorRequestMethod} ${httpErrorRequestUrl}`;
-  } else {
-    error.customAttributes = {
-      ...error.customAttributes,
-      httpErrorType: 'api-request-config-error',
-      httpErrorMessage: error.message,
-      httpErrorRequestUrl,
-      httpErrorRequestMethod,
-    };
-    error.message = `HTTP Client Error: ${error.message} ${httpErrorRequestMethod} ${httpErrorRequestUrl}`;
+    return new HttpResponseError(
+      `HTTP Client Error: ${status} ${httpErrorRequestUrl} ${httpErrorResponseData}`,
+      {
+        ...axiosErrorObject.customAttributes,
+        httpErrorType: status === 429 ? 'api-rate-limit-error' : 'api-response-error',
+        httpErrorStatus: status,
+        httpErrorResponseData,
+        httpErrorRequestUrl,
+        httpErrorRequestMethod,
+      },
+      axiosErrorObject,
+    );
   }
 
-  return error;
+  const customAttributes = {
+    ...axiosErrorObject.customAttributes,
+    httpErrorMessage: message,
+    httpErrorRequestUrl,
+    httpErrorRequestMethod,
+  };
+  const errorMessage = `HTTP Client Error: ${message} ${httpErrorRequestMethod} ${httpErrorRequestUrl}`;
+  if (request) {
+    return new NetworkError(
+      errorMessage,
+      { ...customAttributes, httpErrorType: 'api-request-error' },
+      axiosErrorObject,
+    );
+  }
+  return new RequestConfigError(
+    errorMessage,
+    {
+      ...customAttributes,
+      httpErrorType: axiosErrorObject.code === RATE_LIMIT_ERROR_CODE ? 'api-rate-limit-error' : 'api-request-config-error',
+    },
+    axiosErrorObject,
+  );
 };
 
 const processAxiosErrorAndThrow = (axiosErrorObject) => {
@@ -90,8 +157,11 @@ const processAxiosErrorAndThrow = (axiosErrorObject) => {
 };
 
 export {
-  getUrlParts,
+  getLocalStorage,
+  getRequestUrl,
+  getUrlOrigin,
   logFrontendAuthError,
   processAxiosError,
   processAxiosErrorAndThrow,
+  RATE_LIMIT_ERROR_CODE,
 };
@@ -0,0 +1,53 @@
+import { getServerNowInSeconds } from './clockSkew';
+
+const toArray = value => (Array.isArray(value) ? value : [value]);
+
+// Checks the claims of a decoded jwt against the configured expectations and
+// throws an error describing every failed check. Only the checks that are
+// configured are made. iss and aud may be expected as a single value or a
+// list of acceptable values; the token's aud claim may itself be a list.
+const validateJwtClaims = (decodedJwtToken, claimValidation = {}, leewayInSeconds = 0) => {
+  const {
+    issuer,
+    audience,
+    verifyNotBefore = false,
+    requiredClaims = [],
+  } = claimValidation;
+  const failedChecks = [];
+
+  if (issuer !== undefined && !toArray(issuer).includes(decodedJwtToken.iss)) {
+    failedChecks.push('iss');
+  }
+
+  if (audience !== undefined &&
+    !toArray(decodedJwtToken.aud).some(tokenAudience => toArray(audience).includes(tokenAudience))) {
+    failedChecks.push('aud');
+  }
+
+  // The leeway tolerates tokens issued by a server whose clock is slightly
+  // ahead of the best known server time.
+  if (verifyNotBefore && decodedJwtToken.nbf !== undefined &&
+    decodedJwtToken.nbf - leewayInSeconds > getServerNowInSeconds()) {
+    failedChecks.push('nbf');
+  }
+
+  const missingClaims = requiredClaims.filter(claim =>
+    decodedJwtToken[claim] === undefined || decodedJwtToken[claim] === null);
+  if (missingClaims.length > 0) {
+    failedChecks.push('required');
+  }
+
+  if (failedChecks.length > 0) {
+    const error = new Error('JWT token failed claim validation.');
+    error.customAttributes = {
+      jwtFailedClaimChecks: failedChecks.join(', '),
+      jwtIssuer: decodedJwtToken.iss,
+      jwtAudience: toArray(decodedJwtToken.aud).join(', '),
+      jwtNotBefore: decodedJwtToken.nbf,
+      jwtMissingClaims: missingClaims.join(', '),
+    };
+    throw error;
+  }
+};
+
+export default validateJwtClaims;
@@ -0,0 +1,151 @@
+import axios from 'axios';
+import { processAxiosErrorAndThrow } from './utils';
+
+const httpClient = axios.create();
+
+// Web Crypto parameters for the supported jwt "alg" header values. The same
+// object is used to import the key and to verify the signature.
+const ALGORITHMS = {
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  RS384: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  RS512: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+  ES384: { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+};
+
+// The jwk "kty" of the keys each family of algorithms verifies with.
+const KEY_TYPES = {
+  RS: 'RSA',
+  ES: 'EC',
+};
+
+// A token signed with an unknown key id causes the JWKS document to be fetched
+// again, in case the keys were rotated. This limits how often that happens.
+const MIN_JWKS_REFETCH_INTERVAL_IN_MS = 60 * 1000;
+
+// Imported keys are cached per signatureVerification config, since clients
+// with different configs may use different keys under the same key id.
+const verificationKeys = new WeakMap();
+const jwksRequests = {};
+
+const signatureError = (jwtSignatureError, customAttributes = {}) => {
+  const error = new Error(`JWT token failed signature verification: ${jwtSignatureError}.`);
+  error.customAttributes = { jwtSignatureError, ...customAttributes };
+  return error;
+};
+
+const base64UrlToBinaryString = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return global.atob(`${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`);
+};
+
+const binaryStringToBytes = value => Uint8Array.from(value, character => character.charCodeAt(0));
+
+const fetchJwks = (jwksUrl, { refetch = false } = {}) => {
+  const previousRequest = jwksRequests[jwksUrl];
+  const canRefetch = previousRequest && Date.now() - previousRequest.time > MIN_JWKS_REFETCH_INTERVAL_IN_MS;
+
+  if (!previousRequest || (refetch && canRefetch)) {
+    jwksRequests[jwksUrl] = {
+      time: Date.now(),
+      promise: httpClient.get(jwksUrl)
+        .then(response => response.data)
+        .catch((error) => {
+          delete jwksRequests[jwksUrl];
+          processAxiosErrorAndThrow(error);
+        }),
+    };
+  }
+
+  return jwksRequests[jwksUrl].promise;
+};
+
+// Keys that name another algorithm, or are of the wrong type or curve for the
+// algorithm of the token, can't have signed it.
+const isKeyForAlgorithm = (jwk, alg) => jwk.kty === KEY_TYPES[alg.slice(0, 2)] &&
+  (jwk.alg === undefined || jwk.alg === alg) &&
+  (jwk.crv === undefined || jwk.crv === ALGORITHMS[alg].namedCurve);
+
+// Tokens without a key id can only be matched to a JWKS with a single key.
+const findJwk = (jwks, kid, alg) => {
+  const keys = (jwks && jwks.keys) || [];
+  const jwk = kid === undefined
+    ? keys.length === 1 && keys[0]
+    : keys.find(key => key.kid === kid);
+  return jwk && isKeyForAlgorithm(jwk, alg) ? jwk : undefined;
+};
+
+const getVerificationKey = async (kid, alg, signatureVerification) => {
+  const { jwks, jwksUrl } = signatureVerification;
+  if (!verificationKeys.has(signatureVerification)) {
+    verificationKeys.set(signatureVerification, {});
+  }
+  const configKeys = verificationKeys.get(signatureVerification);
+  const cacheKey = `${alg}:${kid === undefined ? '' : kid}`;
+
+  if (configKeys[cacheKey] === undefined) {
+    let jwk = findJwk(jwks, kid, alg);
+    if (!jwk && jwksUrl) {
+      jwk = findJwk(await fetchJwks(jwksUrl), kid, alg) ||
+        findJwk(await fetchJwks(jwksUrl, { refetch: true }), kid, alg);
+    }
+    if (!jwk) {
+      throw signatureError('unknown-kid', { jwtKeyId: kid, jwtAlgorithm: alg });
+    }
+
+    configKeys[cacheKey] = global.crypto.subtle
+      .importKey('jwk', jwk, ALGORITHMS[alg], false, ['verify'])
+      .catch((error) => {
+        delete configKeys[cacheKey];
+        throw error;
+      });
+  }
+
+  return configKeys[cacheKey];
+};
+
+// Verifies the signature of an encoded jwt against the keys of a JWKS document
+// and throws an error if it can't. The JWKS document is either supplied inline
+// as signatureVerification.jwks or fetched from signatureVerification.jwksUrl.
+const verifyJwtSignature = async (token, signatureVerification) => {
+  const [encodedHeader, encodedPayload, encodedSignature] = (token || '').split('.');
+  if (!encodedSignature) {
+    throw signatureError('missing-signature');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(base64UrlToBinaryString(encodedHeader));
+  } catch (e) {
+    throw signatureError('malformed-header');
+  }
+
+  const { alg, kid } = header;
+  const algorithm = ALGORITHMS[alg];
+  if (!algorithm) {
+    throw signatureError('unsupported-algorithm', { jwtAlgorithm: alg });
+  }
+
+  if (!global.crypto || !global.crypto.subtle) {
+    throw signatureError('web-crypto-unavailable');
+  }
+
+  const key = await getVerificationKey(kid, alg, signatureVerification);
+  const isValid = await global.crypto.subtle.verify(
+    algorithm,
+    key,
+    binaryStringToBytes(base64UrlToBinaryString(encodedSignature)),
+    binaryStringToBytes(`${encodedHeader}.${encodedPayload}`),
+  );
+
+  if (!isValid) {
+    throw signatureError('invalid-signature', { jwtKeyId: kid, jwtAlgorithm: alg });
+  }
+};
+
+// Only these errors mean the signature was checked and is not valid. The
+// others mean that it could not be checked.
+const SIGNATURE_REJECTION_ERRORS = ['invalid-signature', 'unknown-kid'];
+
+export default verifyJwtSignature;
+export { SIGNATURE_REJECTION_ERRORS };
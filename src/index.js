@@ -8,17 +8,27 @@ import {
   FETCH_USER_ACCOUNT_SUCCESS,
 } from './actions/userAccount';
 import {
+  AUTH_EVENTS,
+  createAuthenticatedApiClient,
   getAuthenticatedApiClient,
+  getCancelTokenFromAbortSignal,
   ensureAuthenticatedUser,
   getAuthenticatedUser,
+  HttpResponseError,
+  NetworkError,
+  RedirectLoopError,
   redirectToLogin,
   redirectToLogout,
+  RequestConfigError,
+  subscribe,
+  TokenRefreshError,
 } from './AuthenticatedApiClient';
 import PrivateRoute from './PrivateRoute';
 import userAccount from './reducers/userAccount';
 import UserAccountApiService from './services/UserAccountApiService';
 
 export {
+  AUTH_EVENTS,
   fetchUserAccount,
   fetchUserAccountBegin,
   fetchUserAccountFailure,
@@ -26,11 +36,19 @@ export {
   FETCH_USER_ACCOUNT_BEGIN,
   FETCH_USER_ACCOUNT_FAILURE,
   FETCH_USER_ACCOUNT_SUCCESS,
+  createAuthenticatedApiClient,
   getAuthenticatedApiClient,
+  getCancelTokenFromAbortSignal,
   ensureAuthenticatedUser,
   getAuthenticatedUser,
+  HttpResponseError,
+  NetworkError,
+  RedirectLoopError,
   redirectToLogin,
   redirectToLogout,
+  RequestConfigError,
+  subscribe,
+  TokenRefreshError,
   PrivateRoute,
   userAccount,
   UserAccountApiService,